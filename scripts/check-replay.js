@@ -0,0 +1,108 @@
+// Replay check
+//
+// Builds a WAV recording of quiet background noise with pen-like clicks at
+// known times, decodes it, and replays it through both detection engines: the
+// onset detector as the AudioWorklet runs it, and the software analyser
+// (spectrum.js) with the frame detector, as the fallback loop runs on a live
+// AnalyserNode. Both must find every click, at the right time, and nothing
+// else. The recording is generated from a fixed seed, so results are the same
+// on every run.
+//
+// Run with: npm run check:replay
+
+import { replayRecording } from '../src/replay.js'
+
+const SAMPLE_RATE = 44100
+const DURATION_S = 7
+
+// Clicks start after the detectors have measured the background noise, and
+// fall between the fallback loop's analyser polls as they would live
+const CLICK_TIMES_MS = [2005, 2510, 3020, 3530, 4005, 4540, 5010, 5525]
+
+// How far a detected click may be from where it was placed
+const TOLERANCE_MS = 40
+
+// Deterministic noise in [-1, 1)
+const createNoise = (seed) => {
+  let state = seed
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0
+    return state / 2 ** 31 - 1
+  }
+}
+
+// A sharp burst of high frequencies ringing down over a few tens of ms, like
+// a pen click
+const addClick = (samples, atMs, noise) => {
+  const start = Math.round((atMs / 1000) * SAMPLE_RATE)
+  const length = Math.round(0.04 * SAMPLE_RATE)
+  for (let i = 0; i < length && start + i < samples.length; i++) {
+    const t = i / SAMPLE_RATE
+    const tone = Math.sin(2 * Math.PI * 4500 * t) * 0.6 + noise() * 0.4
+    samples[start + i] += 0.7 * tone * Math.exp(-t / 0.008)
+  }
+}
+
+// 16-bit mono WAV file holding the samples
+const encodeWav = (samples) => {
+  const buffer = new ArrayBuffer(44 + samples.length * 2)
+  const view = new DataView(buffer)
+  const writeString = (offset, text) => [...text].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)))
+  writeString(0, 'RIFF')
+  view.setUint32(4, 36 + samples.length * 2, true)
+  writeString(8, 'WAVE')
+  writeString(12, 'fmt ')
+  view.setUint32(16, 16, true)
+  view.setUint16(20, 1, true)
+  view.setUint16(22, 1, true)
+  view.setUint32(24, SAMPLE_RATE, true)
+  view.setUint32(28, SAMPLE_RATE * 2, true)
+  view.setUint16(32, 2, true)
+  view.setUint16(34, 16, true)
+  writeString(36, 'data')
+  view.setUint32(40, samples.length * 2, true)
+  samples.forEach((sample, i) => {
+    view.setInt16(44 + i * 2, Math.round(Math.max(-1, Math.min(1, sample)) * 32767), true)
+  })
+  return buffer
+}
+
+const buildRecording = () => {
+  const noise = createNoise(1)
+  const samples = new Float32Array(SAMPLE_RATE * DURATION_S)
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = noise() * 0.01
+  }
+  CLICK_TIMES_MS.forEach(time => addClick(samples, time, noise))
+  return encodeWav(samples)
+}
+
+// Problems with the detected clicks, compared with where they were placed
+const compare = (detected) => {
+  const problems = []
+  const unmatched = [...detected]
+  for (const expected of CLICK_TIMES_MS) {
+    const i = unmatched.findIndex(time => Math.abs(time - expected) <= TOLERANCE_MS)
+    if (i === -1) problems.push(`missed the click at ${expected} ms`)
+    else unmatched.splice(i, 1)
+  }
+  unmatched.forEach(time => problems.push(`extra click at ${Math.round(time)} ms`))
+  return problems
+}
+
+const recording = buildRecording()
+let failed = false
+for (const engine of ['onset', 'analyser']) {
+  const clicks = await replayRecording(recording, { engine })
+  const times = clicks.map(click => click.time)
+  const problems = compare(times)
+  console.log(`${engine}: ${clicks.length} clicks at ${times.map(Math.round).join(', ')} ms`)
+  problems.forEach(problem => console.log(`  ${problem}`))
+  failed = failed || problems.length > 0
+}
+
+if (failed) {
+  console.log('Replay check failed')
+  process.exit(1)
+}
+console.log(`Replay check passed: both engines found all ${CLICK_TIMES_MS.length} clicks`)
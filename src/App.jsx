@@ -1,30 +1,127 @@
-import { useState, useRef, useEffect, useCallback } from 'react'
-
-// Dosing data for GLP-1 pens
-const PEN_DATA = {
-  wegovy: {
-    name: 'Wegovy',
-    pens: [
-      { label: '0.5mg (1.5mL)', totalClicks: 148, mgPerClick: 0.0134 },
-      { label: '1.0mg (3mL)', totalClicks: 74, mgPerClick: 0.0135 },
-      { label: '1.7mg (3mL)', totalClicks: 75, mgPerClick: 0.0227 },
-      { label: '2.4mg (3mL)', totalClicks: 75, mgPerClick: 0.032 },
-    ],
-    doses: [0.25, 0.5, 1.0, 1.7, 2.0, 2.4],
-  },
-  ozempic: {
-    name: 'Ozempic',
-    pens: [
-      { label: '1mg (3mL)', totalClicks: 72, mgPerClick: 0.0139 },
-      { label: '2mg (3mL)', totalClicks: 74, mgPerClick: 0.027 },
-    ],
-    doses: [0.25, 0.5, 0.75, 1.0, 1.5, 2.0],
-  },
+import { useState, useRef, useEffect } from 'react'
+import { ANALYSER_SETTINGS, createFrameDetector } from './detector.js'
+import { buildSignature, MATCH_THRESHOLD, MIN_CALIBRATION_SAMPLES, upgradeSignature } from './signature.js'
+import { assessCalibration, getQualityRating } from './calibration.js'
+import {
+  evaluateSignatureTest,
+  QUIET_PERIOD_MS,
+  SENSITIVITY_RANGE,
+  TEST_CLICKS,
+  wouldDetect,
+} from './signatureTest.js'
+import {
+  defaultSignatureName,
+  findEntry,
+  parseLibrary,
+  removeEntry,
+  saveSignatureFor,
+  serializeLibrary,
+  updateEntry,
+} from './signatureLibrary.js'
+import { getNoiseStatus, NOISE_REPORT_MS } from './noiseFloor.js'
+import {
+  createPen,
+  getPenStatus,
+  parseInventory,
+  remainingClicks,
+  removePen,
+  serializeInventory,
+  updatePen,
+} from './penInventory.js'
+import { replayRecording } from './replay.js'
+import clickProcessorUrl from './clickProcessor.js?worker&url'
+import DebugPanel from './DebugPanel.jsx'
+import {
+  addMedication,
+  addPen,
+  BUILT_IN_MEDICATIONS,
+  buildCatalog,
+  createMedication,
+  createPenSpec,
+  DEFAULT_MEDICATION,
+  EMPTY_CUSTOM_CATALOG,
+  parseCatalog,
+  parseDoses,
+  removeMedication,
+  removePenSpec,
+  serializeCatalog,
+  validateMedication,
+  validatePen,
+} from './catalog.js'
+import {
+  createSchedule,
+  getScheduleStatus,
+  ladderFromDoses,
+  parseSchedule,
+  RESTART_ACTIONS,
+  validateSchedule,
+} from './titration.js'
+import {
+  DEFAULT_REMINDERS,
+  estimateInterval,
+  getDueStatus,
+  getNextDue,
+  getReminderTime,
+  SNOOZE_OPTIONS,
+  snoozeReminder,
+} from './reminders.js'
+import {
+  cancelReminder,
+  notificationsSupported,
+  requestNotificationPermission,
+  scheduleReminder,
+  triggersSupported,
+} from './notifications.js'
+import { applyUpdate, watchForUpdates } from './serviceWorker.js'
+import { clearDoses, deleteDose, deleteRecord, discardProblem, loadClip, loadStoredData, putDose, putDoses, quarantineRecords, saveRecord } from './storage.js'
+import {
+  BACKUP_PARTS,
+  createBackup,
+  historyToCsv,
+  mergeHistory,
+  parseBackup,
+  previewImport,
+  recordsForParts,
+} from './backup.js'
+import {
+  applyEntryForm,
+  entryForm,
+  rebookEntryClicks,
+  SIDE_EFFECTS,
+  validateEntryForm,
+  WEIGHT_UNITS,
+} from './historyEntry.js'
+import {
+  DEFAULT_SITE_WINDOW_DAYS,
+  describeDaysAgo,
+  INJECTION_SITES,
+  recentSites,
+  SITE_WINDOW_OPTIONS,
+  suggestNextSite,
+} from './siteRotation.js'
+import { DEFAULT_GUARD, getGuardSignal, getGuardStage, overTargetClicks, WARN_CLICK_OPTIONS } from './doseGuard.js'
+import { createAlerts, VIBRATION } from './alerts.js'
+import { closeGateMessage, createOutputGate, gateMessage } from './outputGate.js'
+import { COUNTDOWN_OPTIONS, DEFAULT_FEEDBACK, EVERY_OPTIONS, FEEDBACK_MODES, getAnnouncement } from './clickFeedback.js'
+import { CADENCE_MODES, createCadence, DEFAULT_CADENCE_MODE } from './cadence.js'
+import { clickDetails, createSessionLog } from './sessionLog.js'
+import { canRecordAudio, startRecording } from './sessionRecorder.js'
+import { audioConstraints, listInputDevices, processingFor, PROCESSING_OPTIONS } from './microphone.js'
+import BodyDiagram from './BodyDiagram.jsx'
+import Dashboard from './Dashboard.jsx'
+import SessionTimeline from './SessionTimeline.jsx'
+import { availableUnits, clicksTo, DOSE_UNITS, formatDose, getConcentration, getMgPerClick, planDose } from './doseMath.js'
+
+
+// Text colors for calibration quality ratings
+const QUALITY_COLORS = {
+  good: 'text-emerald-400',
+  fair: 'text-amber-400',
+  poor: 'text-red-400',
 }
 
-const STORAGE_KEY = 'glp1-dose-history'
-const SETTINGS_KEY = 'glp1-settings'
-const SIGNATURE_KEY = 'glp1-click-signature'
+// Cadence flags of a session with nothing flagged
+const NO_CADENCE_FLAGS = { doubles: 0, misses: 0, unconfirmed: 0 }
 
 // Detection modes
 const DETECTION_MODES = {
@@ -38,124 +135,466 @@ const DETECTION_MODES = {
   }
 }
 
-// Load click signature from localStorage
-const loadSignature = () => {
+// Set aside a stored record that can't be read, so it isn't saved over
+const unreadableRecord = (name, saved, fallback, reason) => ({
+  value: fallback,
+  setAside: { name, value: undefined, problems: [{ source: name, raw: JSON.stringify(saved), reason }] },
+})
+
+// Read a stored record with parse(saved), which returns null for an unknown
+// format. Returns { value, setAside }, where setAside is null or the record to
+// move to quarantine (see quarantineRecords).
+const loadRecord = (name, saved, parse, fallback) => {
+  if (!saved) return { value: fallback, setAside: null }
   try {
-    const saved = localStorage.getItem(SIGNATURE_KEY)
-    if (saved) {
-      return JSON.parse(saved)
-    }
+    const value = parse(saved)
+    return value ? { value, setAside: null } : unreadableRecord(name, saved, fallback, 'unknown format')
   } catch (e) {
-    console.error('Failed to load signature:', e)
+    console.error(`Failed to load ${name}:`, e)
+    return unreadableRecord(name, saved, fallback, e.message)
   }
-  return null
 }
 
-// Load saved settings from localStorage
-const loadSettings = () => {
-  try {
-    const saved = localStorage.getItem(SETTINGS_KEY)
-    if (saved) {
-      return JSON.parse(saved)
+// Read the user's medications and pens. Medications and pens that fail
+// validation are set aside, and the rest kept.
+const loadCustomCatalog = (saved) => {
+  const loaded = loadRecord('catalog', saved, parseCatalog, EMPTY_CUSTOM_CATALOG)
+  if (loaded.setAside || !saved) return loaded
+  const catalog = loaded.value
+  const dropped = (saved.medications || []).length + (saved.pens || []).length - catalog.medications.length - catalog.pens.length
+  if (dropped === 0) return loaded
+  return {
+    value: catalog,
+    setAside: {
+      name: 'catalog',
+      value: serializeCatalog(catalog),
+      problems: [{ source: 'catalog', raw: JSON.stringify(saved), reason: `${dropped} invalid medications or pens` }],
+    },
+  }
+}
+
+// Read the click signature library. Entries whose signature can't be read,
+// perhaps saved by a newer version, are set aside and the rest kept.
+const loadSignatureLibrary = (saved) => {
+  const loaded = loadRecord('signatures', saved, parseLibrary, [])
+  if (loaded.setAside) return loaded
+
+  const entries = []
+  const kept = []
+  const problems = []
+  for (const entry of loaded.value) {
+    try {
+      entries.push({ ...entry, signature: upgradeSignature(entry.signature) })
+      kept.push(entry)
+    } catch (e) {
+      console.error(`Failed to load signature "${entry?.name}":`, e)
+      problems.push({ source: 'signatures', raw: JSON.stringify(entry), reason: `signature "${entry?.name}": ${e.message}` })
     }
-  } catch (e) {
-    console.error('Failed to load settings:', e)
   }
-  return null
+  return {
+    value: entries,
+    setAside: problems.length > 0 ? { name: 'signatures', value: serializeLibrary(kept), problems } : null,
+  }
+}
+
+// Read the stored records behind the app's state: { catalog, signatures,
+// inventory, schedule, setAside }, where setAside lists what couldn't be read
+const loadRecords = (records) => {
+  const loaded = {
+    catalog: loadCustomCatalog(records.catalog),
+    signatures: loadSignatureLibrary(records.signatures),
+    inventory: loadRecord('inventory', records.inventory, parseInventory, []),
+    schedule: loadRecord('schedule', records.schedule, parseSchedule, null),
+  }
+  return {
+    ...Object.fromEntries(Object.entries(loaded).map(([name, { value }]) => [name, value])),
+    setAside: Object.values(loaded).map(({ setAside }) => setAside).filter(Boolean),
+  }
 }
 
-const savedSettings = loadSettings()
+// Read reminder settings from the stored record
+const loadReminders = (saved) => saved ? { ...DEFAULT_REMINDERS, ...saved } : DEFAULT_REMINDERS
+
+// Save text to a file in the user's downloads
+const downloadFile = (fileName, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Offer data that couldn't be read as a file, so it isn't lost when discarded
+const downloadProblem = (problem) =>
+  downloadFile(`glp1-unreadable-${problem.store}-${problem.key}.json`, problem.raw, 'application/json')
 
-function App() {
+function App({ stored }) {
   // State - initialize from saved settings if available
-  const [medication, setMedication] = useState(savedSettings?.medication || 'wegovy')
+  const savedSettings = stored.records.settings || null
+  const [loaded] = useState(() => loadRecords(stored.records)) // Stored records as first read
+  const [customCatalog, setCustomCatalog] = useState(loaded.catalog)
+  const [medication, setMedication] = useState(
+    buildCatalog(customCatalog)[savedSettings?.medication] ? savedSettings.medication : DEFAULT_MEDICATION
+  )
   const [penIndex, setPenIndex] = useState(savedSettings?.penIndex || 0)
   const [targetDose, setTargetDose] = useState(savedSettings?.targetDose || 0.25)
   const [customDose, setCustomDose] = useState('')
   const [sensitivity, setSensitivity] = useState(savedSettings?.sensitivity || 0.15)
   const [clickCount, setClickCount] = useState(0)
   const [isListening, setIsListening] = useState(false)
-  const [error, setError] = useState(null)
+  const [error, setError] = useState(stored.error || null)
   const [showHistory, setShowHistory] = useState(false)
-  const [history, setHistory] = useState([])
+  const [showDashboard, setShowDashboard] = useState(false)
+  const [history, setHistory] = useState(stored.history)
+  const [storageProblems, setStorageProblems] = useState(stored.problems) // Saved data that couldn't be read
   const [targetReached, setTargetReached] = useState(false)
   const [micPermission, setMicPermission] = useState(null) // null = unknown, 'granted', 'denied', 'prompt'
   const [detectionMode, setDetectionMode] = useState(savedSettings?.detectionMode || 'simple') // 'simple' or 'advanced'
   const [showInstructions, setShowInstructions] = useState(!savedSettings) // Show on first visit
+  const [deviceLabel, setDeviceLabel] = useState(savedSettings?.deviceLabel || '') // Optional name for this device's signatures
+  const [showDebug, setShowDebug] = useState(savedSettings?.showDebug || false) // Detection debug panel
+  const [doseUnit, setDoseUnit] = useState(savedSettings?.doseUnit || 'mg') // Unit the counter shows the dose in
+  const [guard, setGuard] = useState({ ...DEFAULT_GUARD, ...savedSettings?.guard }) // Overdose guard settings
+  const [feedback, setFeedback] = useState({ ...DEFAULT_FEEDBACK, ...savedSettings?.feedback }) // Eyes-free click feedback settings
+  const [cadenceMode, setCadenceMode] = useState(savedSettings?.cadenceMode || DEFAULT_CADENCE_MODE) // 'off', 'suggest' or 'auto'
+  const [recordAudio, setRecordAudio] = useState(savedSettings?.recordAudio || false) // Save an audio clip of each session
+  const [micDeviceId, setMicDeviceId] = useState(savedSettings?.micDeviceId || '') // Input to listen on, '' for the browser's default
+  const [micProcessing, setMicProcessing] = useState(savedSettings?.micProcessing || {}) // Voice processing per input device
+  const [inputDevices, setInputDevices] = useState([]) // Available audio inputs: { deviceId, label }
+  const [siteWindowDays, setSiteWindowDays] = useState(savedSettings?.siteWindowDays || DEFAULT_SITE_WINDOW_DAYS) // Flag sites reused within this many days
 
   // Calibration state
   const [isCalibrating, setIsCalibrating] = useState(false)
-  const [calibrationClicks, setCalibrationClicks] = useState([])
-  const [clickSignature, setClickSignature] = useState(loadSignature)
-  const calibrationSamplesRef = useRef([])
+  const [calibrationClicks, setCalibrationClicks] = useState([]) // Samples collected so far
+  const [signatureLibrary, setSignatureLibrary] = useState(loaded.signatures)
+  const [calibrationTarget, setCalibrationTarget] = useState(null) // Library entry being recalibrated
+
+  // Pen inventory state
+  const [pens, setPens] = useState(loaded.inventory)
+  const [activePenId, setActivePenId] = useState(savedSettings?.activePenId || null)
+  const [newPen, setNewPen] = useState(null) // { openedAt, lot } while registering a pen
+
+  // Titration schedule state
+  const [schedule, setSchedule] = useState(loaded.schedule)
+  const [scheduleEditor, setScheduleEditor] = useState(null) // { startDate, steps, restart, errors } while editing
+
+  // Reminder settings
+  const [reminders, setReminders] = useState(() => loadReminders(stored.records.reminders))
+
+  // Service worker of a newly deployed version, waiting to take over
+  const [updateWorker, setUpdateWorker] = useState(null)
+
+  // Injection site picker, shown when saving a dose: { site, clicks }
+  const [sitePicker, setSitePicker] = useState(null)
+
+  // History entry state
+  const [entryEditor, setEntryEditor] = useState(null) // { entry, form, errors } while editing
+  const [deletedEntry, setDeletedEntry] = useState(null) // Last deleted entry, while it can be restored
+  const deletedClipRef = useRef(null) // Resolves with its session clip, restored with it
+  const undoTimerRef = useRef(null)
+
+  // Export and import state
+  const [exportDialog, setExportDialog] = useState(null) // { parts } while choosing what to back up
+  const [importPreview, setImportPreview] = useState(null) // { fileName, added, duplicates, conflicts, invalid, records, parts, replace }
+
+  // Catalog editor state: { medicationForm, penForm, errors } while open
+  const [catalogEditor, setCatalogEditor] = useState(null)
+
+  // Signature test state: { phase: 'quiet' | 'clicks' | 'done', quiet, clicks, result }
+  const [signatureTest, setSignatureTest] = useState(null)
+  const testPhaseRef = useRef(null)
+  const testTimerRef = useRef(null)
+
+  // Recording replay state
+  const [isReplaying, setIsReplaying] = useState(false)
+  const [replayResult, setReplayResult] = useState(null)
 
   // Animation state
   const [clickAnimation, setClickAnimation] = useState(false)
   const prevClickCount = useRef(0)
 
+  // Click cadence this session, and the detections it flagged: { doubles,
+  // misses, unconfirmed }, where unconfirmed counts missed clicks too close to
+  // the target to add automatically
+  const cadenceRef = useRef(createCadence())
+  const [cadenceFlags, setCadenceFlags] = useState(NO_CADENCE_FLAGS)
+
+  // Detections ignored this session because the app's own feedback was
+  // playing. Most are the feedback itself, but a real click can land then too.
+  const [gatedClicks, setGatedClicks] = useState(0)
+
+  // Event log and audio recording of the current listening session, kept
+  // until its dose is saved
+  const sessionLogRef = useRef(null)
+  const recordingRef = useRef(null)
+  const [sessionViewer, setSessionViewer] = useState(null) // { entry, clipUrl } of the session being reviewed
+
   // Refs for audio processing
   const audioContextRef = useRef(null)
   const analyserRef = useRef(null)
   const streamRef = useRef(null)
   const animationFrameRef = useRef(null)
-  const previousVolumeRef = useRef(0)
-  const lastClickTimeRef = useRef(0)
-
-  // Additional refs for advanced detection
-  const highPassFilterRef = useRef(null)
-  const previousHighFreqVolumeRef = useRef(0)
-  const volumeHistoryRef = useRef([]) // For transient detection
-  const peakHoldRef = useRef(0)
-  const decayCounterRef = useRef(0)
-  const lowFreqHistoryRef = useRef([]) // Track low frequency (voice) energy
-  const baselineNoiseRef = useRef(0) // Adaptive noise floor
+  const detectorRef = useRef(null)
+  const workletNodeRef = useRef(null)
+  const outputGateRef = useRef(null) // Output gate for analyser polling; the worklet keeps its own
+
+  // Ambient noise floor reported by the detector: { floor, spread, ready }
+  const [noiseLevel, setNoiseLevel] = useState(null)
+
+  // Detector trace entries for the debug panel, null while it is hidden. The
+  // panel only shows while listening, so calibration and testing aren't traced.
+  const traceRef = useRef(null)
 
   // Derived values
-  const currentPen = PEN_DATA[medication].pens[penIndex]
-  const currentDose = clickCount * currentPen.mgPerClick
-  const targetClicks = Math.round(targetDose / currentPen.mgPerClick)
+  const penCatalog = buildCatalog(customCatalog)
+  // A medication missing from the catalog (e.g. its last pen was just deleted) falls back to the default
+  const currentMedication = penCatalog[medication] || penCatalog[DEFAULT_MEDICATION]
+  const currentPen = currentMedication.pens[penIndex] || currentMedication.pens[0]
+  const currentDose = clicksTo(clickCount, 'mg', currentPen)
+  const dosePlan = planDose(targetDose, currentPen)
+  const targetClicks = dosePlan.clicks
+  const displayUnit = availableUnits(currentPen).includes(doseUnit) ? doseUnit : 'mg'
   const progress = targetClicks > 0 ? Math.min((clickCount / targetClicks) * 100, 100) : 0
-
-  // Load history from localStorage
-  useEffect(() => {
-    try {
-      const saved = localStorage.getItem(STORAGE_KEY)
-      if (saved) {
-        setHistory(JSON.parse(saved))
-      }
-    } catch (e) {
-      console.error('Failed to load history:', e)
-    }
-  }, [])
+  const calibrationReport = isCalibrating ? assessCalibration(calibrationClicks) : null
+  const noiseStatus = noiseLevel ? getNoiseStatus(noiseLevel, sensitivity) : null
+  const guardStage = getGuardStage(clickCount, targetClicks, guard.warnClicks)
+  const overClicks = overTargetClicks(clickCount, targetClicks)
+  const cadenceFlagged = cadenceFlags.doubles + cadenceFlags.misses > 0
+  const cadenceCount = Math.max(0, clickCount + cadenceFlags.misses - cadenceFlags.doubles)
+
+  // Registered pen in use, if it matches the selected medication and strength
+  const activePen = pens.find(pen =>
+    pen.id === activePenId && pen.medication === medication && pen.penLabel === currentPen.label
+  ) || null
+  const activePenStatus = activePen ? getPenStatus(activePen, currentPen.mgPerClick, targetClicks) : null
+
+  // This week's step of the titration schedule, if it is for the selected medication
+  const scheduleMedication = schedule && penCatalog[schedule.medication]
+  const scheduleStatus = scheduleMedication && schedule.medication === medication
+    ? getScheduleStatus(
+      schedule,
+      history.filter(entry => entry.medication === scheduleMedication.name).map(entry => new Date(entry.date).getTime()),
+    )
+    : null
+
+  // When the next dose is due, from the last dose logged
+  const lastDoseTime = history.length > 0 ? new Date(history[0].date).getTime() : null
+  const nextDue = lastDoseTime !== null ? getNextDue(lastDoseTime, reminders.intervalDays, reminders.time) : null
+  const dueStatus = nextDue !== null ? getDueStatus(nextDue) : null
+  const suggestedInterval = estimateInterval(history)
+
+  // Injection site rotation: the site to use next, and sites used too recently to reuse
+  const suggestedSite = suggestNextSite(history)
+  const recentSiteUse = recentSites(history, siteWindowDays)
+
+  // Signature for the selected pen on this device
+  const activeSignatureEntry = findEntry(signatureLibrary, medication, currentPen.label, deviceLabel)
+  const clickSignature = activeSignatureEntry?.signature || null
 
   // Check if target reached and trigger animations
   useEffect(() => {
     setTargetReached(clickCount >= targetClicks && targetClicks > 0)
 
-    // Trigger click animation when count increases
+    // Trigger click animation, feedback and overdose guard signals when the
+    // count increases, whether from a detected click or the + button
     if (clickCount > prevClickCount.current) {
       setClickAnimation(true)
       setTimeout(() => setClickAnimation(false), 200)
+      signalClickFeedback(clickCount)
+      signalGuard(getGuardSignal(prevClickCount.current, clickCount, targetClicks, guard.warnClicks))
     }
     prevClickCount.current = clickCount
-  }, [clickCount, targetClicks])
+  }, [clickCount, targetClicks, guard, feedback, isListening])
 
-  // Reset pen index when medication changes
-  useEffect(() => {
-    setPenIndex(0)
-  }, [medication])
+  // Gate detection while the app's own output plays, in the worklet and in
+  // analyser polling alike
+  const gateOutput = (message) => {
+    workletNodeRef.current?.port.postMessage(message)
+    outputGateRef.current?.handleMessage(message)
+  }
+
+  // Alerts, created once; they report what they play to the output gate
+  const alertsRef = useRef(null)
+  if (!alertsRef.current) {
+    alertsRef.current = createAlerts({
+      getAudioContext: () => audioContextRef.current,
+      onOutput: (from, until) => gateOutput(gateMessage(from, until)),
+      onOutputEnd: (until) => gateOutput(closeGateMessage(until)),
+    })
+  }
+  const alerts = alertsRef.current
+
+  // Give eyes-free feedback for a new click
+  const signalClickFeedback = (count) => {
+    if (feedback.vibrate) alerts.vibrate(VIBRATION.click)
+    if (feedback.mode === 'off') return
+    const announcement = getAnnouncement(count, targetClicks, feedback)
+    if (!announcement) return
+    if (feedback.mode === 'voice') alerts.speak(announcement.text)
+    else alerts.tones(announcement.tone)
+  }
+
+  // Give the overdose guard's signal for a new count (see getGuardSignal).
+  // Auto-stop applies to any count at or past the target.
+  const signalGuard = (signal) => {
+    const stopping = guard.autoStop && isListening && (signal === 'reached' || signal === 'over')
+    if (stopping) stopListening()
+
+    if (signal === 'approaching') {
+      alerts.vibrate(VIBRATION.warning)
+    } else if (signal === 'reached') {
+      alerts.vibrate(VIBRATION.reached)
+      if (!stopping) alerts.tones('reached')
+    } else if (signal === 'over' && guard.alarm) {
+      alerts.vibrate(VIBRATION.over)
+      alerts.tones('over')
+    }
+  }
+
+  // Report a failed write instead of losing it silently
+  const reportSaveError = (what) => (err) => {
+    console.error(`Failed to save ${what}:`, err)
+    setError(`Could not save ${what}: ${err.message}`)
+  }
 
-  // Save settings to localStorage when they change
+  // Save settings when they change
   useEffect(() => {
     const settings = {
       medication,
       penIndex,
       targetDose,
       sensitivity,
-      detectionMode
+      detectionMode,
+      deviceLabel,
+      showDebug,
+      activePenId,
+      doseUnit,
+      siteWindowDays,
+      guard,
+      feedback,
+      cadenceMode,
+      recordAudio,
+      micDeviceId,
+      micProcessing
+    }
+    saveRecord('settings', settings).catch(reportSaveError('settings'))
+  }, [medication, penIndex, targetDose, sensitivity, detectionMode, deviceLabel, showDebug, activePenId, doseUnit, siteWindowDays, guard, feedback, cadenceMode, recordAudio, micDeviceId, micProcessing])
+
+  // Move stored records that couldn't be read to quarantine and report them.
+  // Taken from a ref so it only happens once, even where effects run twice.
+  const setAsideRef = useRef(loaded.setAside)
+  useEffect(() => {
+    const setAside = setAsideRef.current
+    setAsideRef.current = []
+    if (setAside.length === 0) return
+    quarantineRecords(setAside)
+      .then(problems => setStorageProblems(prev => [...prev, ...problems]))
+      .catch(reportSaveError('unreadable data'))
+  }, [])
+
+  // Save the user's medications and pens when they change. Records are left
+  // as loaded until the user changes them, so nothing unreadable is saved over.
+  useEffect(() => {
+    if (customCatalog === loaded.catalog) return
+    saveRecord('catalog', serializeCatalog(customCatalog)).catch(reportSaveError('medication catalog'))
+  }, [customCatalog])
+
+  // Save the titration schedule when it changes
+  useEffect(() => {
+    if (schedule === loaded.schedule) return
+    const save = schedule ? saveRecord('schedule', schedule) : deleteRecord('schedule')
+    save.catch(reportSaveError('titration schedule'))
+  }, [schedule])
+
+  // Pre-select this week's scheduled dose whenever the schedule moves to a new
+  // step. A step reached while listening is applied once listening stops.
+  const scheduledDose = scheduleStatus?.dose
+  const preselectedDose = useRef()
+  useEffect(() => {
+    if (scheduledDose !== undefined && !isListening && scheduledDose !== preselectedDose.current) {
+      preselectedDose.current = scheduledDose
+      setTargetDose(scheduledDose)
+      setCustomDose('')
+    }
+  }, [scheduledDose, isListening])
+
+  // Save reminder settings when they change
+  useEffect(() => {
+    saveRecord('reminders', reminders).catch(reportSaveError('reminder settings'))
+  }, [reminders])
+
+  // Report a reminder that couldn't be scheduled or shown
+  const reportReminderError = (err) => {
+    console.error('Failed to schedule reminder:', err)
+    setError(`Could not set the dose reminder: ${err.message}`)
+  }
+
+  // Schedule the notification for the next dose
+  useEffect(() => {
+    if (!reminders.enabled || nextDue === null) {
+      cancelReminder().catch(reportReminderError)
+      return
+    }
+    const time = getReminderTime(reminders, nextDue)
+    if (time === null) return
+
+    let cancelled = false
+    let cancelTimer = () => {}
+    const markShown = () => setReminders(prev => ({ ...prev, notifiedDue: nextDue }))
+    const due = getDueStatus(nextDue, time)
+    cancelReminder()
+      .then(() => scheduleReminder(time, {
+        title: 'Dose reminder',
+        body: `Your ${currentMedication.name} dose is ${due.overdue ? `overdue by ${due.days} day${due.days > 1 ? 's' : ''}` : 'due'}`,
+        snoozeMinutes: reminders.snoozeMinutes,
+      }, markShown, reportReminderError))
+      .then(cancel => {
+        if (cancelled) cancel()
+        else cancelTimer = cancel
+      })
+      .catch(reportReminderError)
+
+    return () => {
+      cancelled = true
+      cancelTimer()
     }
-    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
-  }, [medication, penIndex, targetDose, sensitivity, detectionMode])
+    // Reschedule only when the reminder itself changes
+  }, [reminders.enabled, reminders.time, reminders.snoozeMinutes, reminders.snoozedUntil, reminders.notifiedDue, nextDue])
+
+  // Offer to reload when a new version has been deployed
+  useEffect(() => watchForUpdates(setUpdateWorker), [])
+
+  // Snooze requests from the notification's Snooze action
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return
+    const handleMessage = ({ data }) => {
+      if (data?.type === 'snooze') {
+        setReminders(prev => snoozeReminder(prev))
+      }
+    }
+    navigator.serviceWorker.addEventListener('message', handleMessage)
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage)
+  }, [])
+
+  // Save pen inventory when it changes
+  useEffect(() => {
+    if (pens === loaded.inventory) return
+    saveRecord('inventory', serializeInventory(pens)).catch(reportSaveError('pen inventory'))
+  }, [pens])
+
+  // Start or stop collecting detector traces when the debug panel is toggled
+  useEffect(() => {
+    const tracing = showDebug && isListening
+    traceRef.current = tracing ? [] : null
+    workletNodeRef.current?.port.postMessage({ type: 'debug', enabled: tracing })
+  }, [showDebug, isListening])
+
+  // Save signature library when it changes
+  useEffect(() => {
+    if (signatureLibrary === loaded.signatures) return
+    saveRecord('signatures', serializeLibrary(signatureLibrary)).catch(reportSaveError('click signatures'))
+  }, [signatureLibrary])
 
   // Check microphone permission status on mount
   useEffect(() => {
@@ -179,6 +618,26 @@ function App() {
     checkMicPermission()
   }, [])
 
+  // List the audio inputs once the microphone is allowed, and again when one is
+  // plugged in or removed
+  useEffect(() => {
+    if (micPermission !== 'granted' || !navigator.mediaDevices?.enumerateDevices) return
+    const updateDevices = () => {
+      listInputDevices()
+        .then(setInputDevices)
+        .catch(err => console.warn('Could not list microphones:', err))
+    }
+    updateDevices()
+    navigator.mediaDevices.addEventListener('devicechange', updateDevices)
+    return () => navigator.mediaDevices.removeEventListener('devicechange', updateDevices)
+  }, [micPermission])
+
+  // Change the voice processing of the selected input
+  const toggleMicProcessing = (option) => {
+    const current = processingFor(micProcessing, micDeviceId)
+    setMicProcessing(prev => ({ ...prev, [micDeviceId]: { ...current, [option]: !current[option] } }))
+  }
+
   // Check if we're in a secure context (HTTPS or localhost)
   const isSecureContext = window.isSecureContext ||
     window.location.hostname === 'localhost' ||
@@ -206,7 +665,7 @@ function App() {
 
     try {
       console.log('Requesting microphone access...')
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+      const stream = await getMicrophoneStream()
       console.log('Microphone access granted!')
       // Stop the stream immediately - we just wanted to trigger the permission prompt
       stream.getTracks().forEach(track => track.stop())
@@ -224,196 +683,187 @@ function App() {
     }
   }
 
-  // Simple detection - original algorithm
-  const processAudioSimple = useCallback(() => {
-    if (!analyserRef.current) return
-
-    const dataArray = new Uint8Array(analyserRef.current.frequencyBinCount)
-    analyserRef.current.getByteFrequencyData(dataArray)
-
-    // Calculate current volume (RMS-like)
-    let sum = 0
-    for (let i = 0; i < dataArray.length; i++) {
-      sum += dataArray[i]
-    }
-    const currentVolume = sum / dataArray.length / 255
-
-    // Smoothed previous volume
-    const smoothedPrevious = previousVolumeRef.current
-
-    // Calculate spike
-    const spike = currentVolume - smoothedPrevious
-
-    // Check for click
-    const now = Date.now()
-    const timeSinceLastClick = now - lastClickTimeRef.current
-
-    if (spike > sensitivity && timeSinceLastClick > 150) {
-      setClickCount(prev => prev + 1)
-      lastClickTimeRef.current = now
+  // Open the selected microphone with its voice processing. If it has gone,
+  // the default microphone is opened with its own processing, and the user told.
+  const getMicrophoneStream = async () => {
+    try {
+      return await navigator.mediaDevices.getUserMedia({ audio: audioConstraints(micDeviceId, micProcessing) })
+    } catch (err) {
+      if (err.name !== 'OverconstrainedError' || !micDeviceId) throw err
+      console.warn('Selected microphone unavailable, using the default:', err)
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: audioConstraints('', micProcessing) })
+      setError('The selected microphone isn\'t available, so the default microphone is being used. Choose another in the Microphone settings.')
+      return stream
     }
+  }
 
-    // Update smoothed previous (0.3 current + 0.7 previous)
-    previousVolumeRef.current = 0.3 * currentVolume + 0.7 * smoothedPrevious
-
-    animationFrameRef.current = requestAnimationFrame(processAudioSimple)
-  }, [sensitivity])
+  // Open the microphone and connect it to an analyser set up for the given mode
+  const openMicrophone = async (mode) => {
+    const stream = await getMicrophoneStream()
+    streamRef.current = stream
 
-  // Get frequency profile from current audio data
-  const getFrequencyProfile = useCallback((dataArray) => {
-    // Divide spectrum into 8 bands for signature matching
-    const bandCount = 8
-    const bandSize = Math.floor(dataArray.length / bandCount)
-    const bands = []
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)()
+    audioContextRef.current = audioContext
 
-    for (let b = 0; b < bandCount; b++) {
-      let sum = 0
-      for (let i = b * bandSize; i < (b + 1) * bandSize; i++) {
-        sum += dataArray[i]
-      }
-      bands.push(sum / bandSize / 255)
-    }
+    const source = audioContext.createMediaStreamSource(stream)
+    const analyser = audioContext.createAnalyser()
 
-    return bands
-  }, [])
+    // Advanced mode uses a larger FFT for better frequency resolution
+    const { fftSize, smoothingTimeConstant } = ANALYSER_SETTINGS[mode]
+    analyser.fftSize = fftSize
+    analyser.smoothingTimeConstant = smoothingTimeConstant
 
-  // Calculate similarity between two frequency profiles (0-1, higher is more similar)
-  const calculateSimilarity = useCallback((profile1, profile2) => {
-    if (!profile1 || !profile2 || profile1.length !== profile2.length) return 0
+    source.connect(analyser)
+    analyserRef.current = analyser
 
-    let dotProduct = 0
-    let norm1 = 0
-    let norm2 = 0
+    return { audioContext, source }
+  }
 
-    for (let i = 0; i < profile1.length; i++) {
-      dotProduct += profile1[i] * profile2[i]
-      norm1 += profile1[i] * profile1[i]
-      norm2 += profile2[i] * profile2[i]
-    }
+  // Poll the analyser every animation frame and feed it to the active detector
+  const pollAnalyser = (onEvent, onGated) => {
+    let lastNoiseReport = -Infinity
+    const poll = () => {
+      const analyser = analyserRef.current
+      if (!analyser || !detectorRef.current) return
 
-    if (norm1 === 0 || norm2 === 0) return 0
-    return dotProduct / (Math.sqrt(norm1) * Math.sqrt(norm2))
-  }, [])
+      const spectrum = new Uint8Array(analyser.frequencyBinCount)
+      analyser.getByteFrequencyData(spectrum)
 
-  // Calibration audio processing
-  const processCalibration = useCallback(() => {
-    if (!analyserRef.current) return
+      let waveform = null
+      if (analyser.getFloatTimeDomainData) {
+        waveform = new Float32Array(analyser.fftSize)
+        analyser.getFloatTimeDomainData(waveform)
+      }
 
-    const dataArray = new Uint8Array(analyserRef.current.frequencyBinCount)
-    analyserRef.current.getByteFrequencyData(dataArray)
+      const now = Date.now()
+      const event = detectorRef.current.process(spectrum, now, waveform)
+      if (event && outputGateRef.current.isGated(audioContextRef.current.currentTime * 1000)) {
+        traceRef.current?.push({ type: 'marker', time: now, accepted: false, reason: 'feedback', spike: event.spike, similarity: null })
+        onGated(event)
+      } else if (event) {
+        onEvent(event)
+      }
+      if (now - lastNoiseReport >= NOISE_REPORT_MS) {
+        lastNoiseReport = now
+        setNoiseLevel(detectorRef.current.getNoise())
+      }
 
-    // Calculate overall energy
-    let sum = 0
-    for (let i = 0; i < dataArray.length; i++) {
-      sum += dataArray[i]
+      animationFrameRef.current = requestAnimationFrame(poll)
     }
-    const energy = sum / dataArray.length / 255
-
-    const smoothedPrevious = previousVolumeRef.current
-    const spike = energy - smoothedPrevious
+    animationFrameRef.current = requestAnimationFrame(poll)
+  }
 
-    const now = Date.now()
-    const timeSinceLastClick = now - lastClickTimeRef.current
+  // Run detection ('simple', 'advanced' or 'calibration') in an AudioWorklet on
+  // raw PCM, falling back to polling the analyser where AudioWorklet is unavailable.
+  // onGated gets detections ignored while the app's feedback was playing.
+  const startDetection = async (audioContext, source, mode, onEvent, onGated = () => {}) => {
+    const options = { mode, sensitivity, signature: clickSignature }
+    // Trace times start again with each session, so start with an empty trace
+    const tracing = showDebug && mode in DETECTION_MODES
+    traceRef.current = tracing ? [] : null
 
-    // Detect a spike during calibration
-    if (spike > 0.08 && timeSinceLastClick > 200) {
-      const profile = getFrequencyProfile(dataArray)
-      calibrationSamplesRef.current.push({
-        profile,
-        energy,
-        timestamp: now
-      })
-      setCalibrationClicks(prev => [...prev, { time: now, energy }])
-      lastClickTimeRef.current = now
+    if (audioContext.audioWorklet && window.AudioWorkletNode) {
+      try {
+        await audioContext.audioWorklet.addModule(clickProcessorUrl)
+        const workletNode = new AudioWorkletNode(audioContext, 'click-processor', {
+          numberOfInputs: 1,
+          numberOfOutputs: 0,
+          processorOptions: { ...options, debug: tracing },
+        })
+        workletNode.port.onmessage = ({ data }) => {
+          if (data.type === 'event') {
+            onEvent(data.event)
+          } else if (data.type === 'gated') {
+            onGated(data.event)
+          } else if (data.type === 'noise') {
+            setNoiseLevel(data.noise)
+          } else if (data.type === 'trace') {
+            traceRef.current?.push(...data.entries)
+          }
+        }
+        source.connect(workletNode)
+        workletNodeRef.current = workletNode
+        return
+      } catch (err) {
+        console.warn('AudioWorklet unavailable, falling back to analyser polling:', err)
+      }
     }
 
-    previousVolumeRef.current = 0.3 * energy + 0.7 * smoothedPrevious
-    animationFrameRef.current = requestAnimationFrame(processCalibration)
-  }, [getFrequencyProfile])
-
-  // Advanced detection - uses calibrated signature
-  const processAudioAdvanced = useCallback(() => {
-    if (!analyserRef.current) return
-
-    const dataArray = new Uint8Array(analyserRef.current.frequencyBinCount)
-    analyserRef.current.getByteFrequencyData(dataArray)
+    detectorRef.current = createFrameDetector(mode, {
+      ...options,
+      sampleRate: audioContext.sampleRate,
+      onTrace: entry => traceRef.current?.push(entry),
+    })
+    outputGateRef.current = createOutputGate()
+    pollAnalyser(onEvent, onGated)
+  }
 
-    // Calculate overall energy
-    let sum = 0
-    for (let i = 0; i < dataArray.length; i++) {
-      sum += dataArray[i]
+  // Count a detected click, checking it against the click cadence. Automatic
+  // correction drops double counts and adds missed clicks; otherwise they are
+  // only flagged. A missed click is never added automatically where it would
+  // take the count past the target: it stays flagged for the user to confirm.
+  const handleClick = (event) => {
+    const verdict = cadenceMode === 'off' ? 'click' : cadenceRef.current.add(event.time)
+    // The target can't change while listening, and prevClickCount holds the count shown
+    const correctMissed = cadenceMode === 'auto' && verdict === 'missed' &&
+      !(targetClicks > 0 && prevClickCount.current + 2 > targetClicks)
+    const autoCorrected = cadenceMode === 'auto' && (verdict === 'double' || correctMissed)
+
+    if (verdict === 'double') {
+      setCadenceFlags(prev => ({ ...prev, doubles: prev.doubles + 1 }))
+    } else if (verdict === 'missed' && (correctMissed || cadenceMode !== 'auto')) {
+      setCadenceFlags(prev => ({ ...prev, misses: prev.misses + 1 }))
+    } else if (verdict === 'missed') {
+      setCadenceFlags(prev => ({ ...prev, unconfirmed: prev.unconfirmed + 1 }))
     }
-    const energy = sum / dataArray.length / 255
-
-    const smoothedPrevious = previousHighFreqVolumeRef.current
-    const spike = energy - smoothedPrevious
-
-    const now = Date.now()
-    const timeSinceLastClick = now - lastClickTimeRef.current
-
-    // If we have a signature, use it for matching
-    if (clickSignature && spike > sensitivity * 0.5) {
-      const currentProfile = getFrequencyProfile(dataArray)
-      const similarity = calculateSimilarity(currentProfile, clickSignature.profile)
 
-      // High similarity to signature = likely a pen click
-      if (similarity > 0.85 && spike > sensitivity * 0.3 && timeSinceLastClick > 150) {
-        setClickCount(prev => prev + 1)
-        lastClickTimeRef.current = now
-      }
-    } else {
-      // Fallback to basic high-frequency detection if no signature
-      const midPoint = Math.floor(dataArray.length / 2)
-      let highSum = 0
-      let lowSum = 0
-
-      for (let i = 0; i < midPoint; i++) {
-        lowSum += dataArray[i]
-      }
-      for (let i = midPoint; i < dataArray.length; i++) {
-        highSum += dataArray[i]
-      }
+    const added = !autoCorrected ? 1 : correctMissed ? 2 : 0
+    setClickCount(prev => prev + added)
+    sessionLogRef.current?.add('click', {
+      ...clickDetails(event),
+      ...(verdict !== 'click' && { cadence: verdict }),
+      added,
+    })
+  }
 
-      const highEnergy = highSum / (dataArray.length - midPoint) / 255
-      const lowEnergy = lowSum / midPoint / 255
-      const isLikelyVoice = lowEnergy > highEnergy * 1.5 && lowEnergy > 0.1
+  // Note a detection ignored while feedback was playing. It isn't counted, but
+  // is logged and shown so a real click lost under the feedback can be checked.
+  const handleGatedClick = (event) => {
+    setGatedClicks(prev => prev + 1)
+    sessionLogRef.current?.add('gated', clickDetails(event))
+  }
 
-      if (spike > sensitivity && !isLikelyVoice && timeSinceLastClick > 150) {
-        setClickCount(prev => prev + 1)
-        lastClickTimeRef.current = now
-      }
-    }
+  // Apply the count the cadence suggests
+  const applyCadenceCorrection = () => {
+    const delta = cadenceFlags.misses - cadenceFlags.doubles
+    setClickCount(prev => Math.max(0, prev + delta))
+    setCadenceFlags(NO_CADENCE_FLAGS)
+    sessionLogRef.current?.add('correction', { delta })
+  }
 
-    previousHighFreqVolumeRef.current = 0.3 * energy + 0.7 * smoothedPrevious
-    animationFrameRef.current = requestAnimationFrame(processAudioAdvanced)
-  }, [sensitivity, clickSignature, getFrequencyProfile, calculateSimilarity])
+  const dismissCadenceFlags = () => {
+    setCadenceFlags(NO_CADENCE_FLAGS)
+  }
 
-  // Main audio processing dispatcher
-  const processAudio = useCallback(() => {
-    if (detectionMode === 'advanced') {
-      processAudioAdvanced()
-    } else {
-      processAudioSimple()
-    }
-  }, [detectionMode, processAudioSimple, processAudioAdvanced])
+  // Collect a calibration sample
+  const handleCalibrationSample = (sample) => {
+    setCalibrationClicks(prev => [...prev, sample])
+  }
 
   // Start listening
   const startListening = async () => {
+    if (activePenStatus && !activePenStatus.canDeliver && !window.confirm(
+      `This pen only has ${activePenStatus.remainingClicks} clicks (${activePenStatus.remainingMg.toFixed(2)} mg) left, not enough for a ${targetDose.toFixed(2)} mg dose. Start anyway?`
+    )) {
+      return
+    }
+
     setError(null)
     setClickCount(0)
     setTargetReached(false)
-
-    // Reset simple detection refs
-    previousVolumeRef.current = 0
-    lastClickTimeRef.current = 0
-
-    // Reset advanced detection refs
-    previousHighFreqVolumeRef.current = 0
-    volumeHistoryRef.current = []
-    peakHoldRef.current = 0
-    decayCounterRef.current = 0
-    lowFreqHistoryRef.current = []
-    baselineNoiseRef.current = 0
+    cadenceRef.current.reset()
+    setCadenceFlags(NO_CADENCE_FLAGS)
+    setGatedClicks(0)
 
     // Check for secure context first
     if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
@@ -426,57 +876,54 @@ function App() {
     }
 
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
-      streamRef.current = stream
-
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)()
-      audioContextRef.current = audioContext
-
-      const source = audioContext.createMediaStreamSource(stream)
-      const analyser = audioContext.createAnalyser()
-
-      // Use larger FFT for better frequency resolution in advanced mode
-      analyser.fftSize = detectionMode === 'advanced' ? 512 : 256
-      analyser.smoothingTimeConstant = detectionMode === 'advanced' ? 0.1 : 0.3
-
-      source.connect(analyser)
-      analyserRef.current = analyser
-
+      const { audioContext, source } = await openMicrophone(detectionMode)
+      await startDetection(audioContext, source, detectionMode, handleClick, handleGatedClick)
+      sessionLogRef.current = createSessionLog()
+      sessionLogRef.current.add('start')
+      recordingRef.current = recordAudio && canRecordAudio() ? startRecording(streamRef.current) : null
       setIsListening(true)
-
-      // Start the appropriate processing loop directly
-      if (detectionMode === 'advanced') {
-        animationFrameRef.current = requestAnimationFrame(processAudioAdvanced)
-      } else {
-        animationFrameRef.current = requestAnimationFrame(processAudioSimple)
-      }
     } catch (err) {
       console.error('Microphone error:', err)
       setError('Microphone access denied. Please allow microphone access to use click detection.')
     }
   }
 
-  // Stop listening
-  const stopListening = () => {
+  // Release the microphone and stop whichever detection loop is running
+  const stopAudio = () => {
     if (animationFrameRef.current) {
       cancelAnimationFrame(animationFrameRef.current)
     }
+    detectorRef.current = null
+    outputGateRef.current = null
+    traceRef.current = null
+    recordingRef.current?.stop()
+    if (workletNodeRef.current) {
+      workletNodeRef.current.port.onmessage = null
+      workletNodeRef.current.disconnect()
+      workletNodeRef.current = null
+    }
     if (streamRef.current) {
       streamRef.current.getTracks().forEach(track => track.stop())
     }
     if (audioContextRef.current) {
       audioContextRef.current.close()
     }
+    setNoiseLevel(null)
+  }
+
+  // Stop listening
+  const stopListening = () => {
+    stopAudio()
+    if (isListening) sessionLogRef.current?.add('stop')
     setIsListening(false)
   }
 
-  // Start calibration
-  const startCalibration = async () => {
+  // Start calibration, either for the selected pen on this device or to
+  // recalibrate an existing library entry
+  const startCalibration = async (entry = null) => {
     setError(null)
+    setCalibrationTarget(entry)
     setCalibrationClicks([])
-    calibrationSamplesRef.current = []
-    previousVolumeRef.current = 0
-    lastClickTimeRef.current = 0
 
     if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
       setError('Microphone not available')
@@ -484,154 +931,623 @@ function App() {
     }
 
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
-      streamRef.current = stream
-
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)()
-      audioContextRef.current = audioContext
-
-      const source = audioContext.createMediaStreamSource(stream)
-      const analyser = audioContext.createAnalyser()
-      analyser.fftSize = 512
-      analyser.smoothingTimeConstant = 0.1
-
-      source.connect(analyser)
-      analyserRef.current = analyser
-
+      const { audioContext, source } = await openMicrophone('calibration')
+      await startDetection(audioContext, source, 'calibration', handleCalibrationSample)
       setIsCalibrating(true)
-      animationFrameRef.current = requestAnimationFrame(processCalibration)
     } catch (err) {
       console.error('Calibration error:', err)
       setError('Failed to start calibration')
     }
   }
 
-  // Finish calibration and save signature
+  // Finish calibration and save a signature from the samples that survived
+  // outlier rejection. The Save button is only enabled for acceptable quality.
   const finishCalibration = () => {
-    if (animationFrameRef.current) {
-      cancelAnimationFrame(animationFrameRef.current)
-    }
-    if (streamRef.current) {
-      streamRef.current.getTracks().forEach(track => track.stop())
-    }
-    if (audioContextRef.current) {
-      audioContextRef.current.close()
-    }
-
-    const samples = calibrationSamplesRef.current
-    if (samples.length >= 3) {
-      // Average the frequency profiles
-      const avgProfile = samples[0].profile.map((_, i) => {
-        const sum = samples.reduce((acc, s) => acc + s.profile[i], 0)
-        return sum / samples.length
-      })
-
-      const avgEnergy = samples.reduce((acc, s) => acc + s.energy, 0) / samples.length
+    stopAudio()
 
-      const signature = {
-        profile: avgProfile,
-        avgEnergy,
-        sampleCount: samples.length,
-        createdAt: new Date().toISOString()
+    const report = assessCalibration(calibrationClicks)
+    if (report.acceptable) {
+      const signature = { ...buildSignature(report.kept), quality: report.quality }
+      if (calibrationTarget) {
+        setSignatureLibrary(prev => updateEntry(prev, calibrationTarget.id, { signature }))
+      } else {
+        setSignatureLibrary(prev => saveSignatureFor(prev, {
+          medication,
+          penLabel: currentPen.label,
+          device: deviceLabel,
+          name: defaultSignatureName(currentMedication.name, currentPen.label, deviceLabel.trim()),
+          signature,
+        }))
       }
-
-      setClickSignature(signature)
-      localStorage.setItem(SIGNATURE_KEY, JSON.stringify(signature))
     }
 
     setIsCalibrating(false)
+    setCalibrationTarget(null)
     setCalibrationClicks([])
-    calibrationSamplesRef.current = []
   }
 
   // Cancel calibration
   const cancelCalibration = () => {
-    if (animationFrameRef.current) {
-      cancelAnimationFrame(animationFrameRef.current)
+    stopAudio()
+    setIsCalibrating(false)
+    setCalibrationTarget(null)
+    setCalibrationClicks([])
+  }
+
+  // Record a spike heard during the current signature test phase
+  const handleTestCandidate = (candidate) => {
+    const phase = testPhaseRef.current
+    if (phase === 'quiet' || phase === 'clicks') {
+      setSignatureTest(prev => prev && { ...prev, [phase]: [...prev[phase], candidate] })
     }
-    if (streamRef.current) {
-      streamRef.current.getTracks().forEach(track => track.stop())
+  }
+
+  // Test the active signature: listen to a quiet room, then to TEST_CLICKS clicks
+  const startSignatureTest = async () => {
+    setError(null)
+
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      setError('Microphone not available')
+      return
     }
-    if (audioContextRef.current) {
-      audioContextRef.current.close()
+
+    try {
+      const { audioContext, source } = await openMicrophone('test')
+      await startDetection(audioContext, source, 'test', handleTestCandidate)
+
+      testPhaseRef.current = 'quiet'
+      setSignatureTest({ phase: 'quiet', quiet: [], clicks: [], result: null })
+      testTimerRef.current = setTimeout(() => {
+        testPhaseRef.current = 'clicks'
+        setSignatureTest(prev => prev && { ...prev, phase: 'clicks' })
+      }, QUIET_PERIOD_MS)
+    } catch (err) {
+      console.error('Signature test error:', err)
+      setError('Failed to start signature test')
     }
-    setIsCalibrating(false)
-    setCalibrationClicks([])
-    calibrationSamplesRef.current = []
   }
 
-  // Clear saved signature
-  const clearSignature = () => {
-    if (window.confirm('Clear your saved pen click signature?')) {
-      setClickSignature(null)
-      localStorage.removeItem(SIGNATURE_KEY)
+  // Stop listening and report the test results
+  const finishSignatureTest = () => {
+    stopAudio()
+    clearTimeout(testTimerRef.current)
+    testPhaseRef.current = null
+    setSignatureTest(prev => ({
+      ...prev,
+      phase: 'done',
+      result: evaluateSignatureTest({ quiet: prev.quiet, clicks: prev.clicks, sensitivity }),
+    }))
+  }
+
+  // Close the test, stopping it first if it is still running
+  const closeSignatureTest = () => {
+    if (testPhaseRef.current) {
+      stopAudio()
+      clearTimeout(testTimerRef.current)
+      testPhaseRef.current = null
+    }
+    setSignatureTest(null)
+  }
+
+  // Apply the sensitivity suggested by the test
+  const applySuggestedSensitivity = () => {
+    setSensitivity(signatureTest.result.suggestedSensitivity)
+    setSignatureTest(null)
+  }
+
+  // Rename a saved signature
+  const renameSignature = (entry) => {
+    const name = window.prompt('Signature name', entry.name)
+    if (name && name.trim()) {
+      setSignatureLibrary(prev => updateEntry(prev, entry.id, { name: name.trim() }))
+    }
+  }
+
+  // Delete a saved signature
+  const deleteSignature = (entry) => {
+    if (window.confirm(`Delete the "${entry.name}" click signature?`)) {
+      setSignatureLibrary(prev => removeEntry(prev, entry.id))
+    }
+  }
+
+  // Replay a recorded session through the current detector settings
+  const replayFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    setError(null)
+    setReplayResult(null)
+    setIsReplaying(true)
+
+    try {
+      const clicks = await replayRecording(file, {
+        mode: detectionMode,
+        sensitivity,
+        signature: clickSignature,
+      })
+      setReplayResult({ fileName: file.name, times: clicks.map(click => click.time) })
+    } catch (err) {
+      console.error('Replay error:', err)
+      setError(`Could not replay ${file.name}: ${err.message}`)
+    } finally {
+      setIsReplaying(false)
     }
   }
 
+  // Ask where the dose was injected, suggesting the next site in the rotation.
+  // The count is kept from now on, so tapping the screen can't add clicks.
+  const openSitePicker = () => {
+    setSitePicker({ site: suggestedSite, clicks: clickCount })
+  }
+
   // Save dose to history
-  const saveDose = () => {
+  const saveDose = async ({ site, clicks }) => {
+    setSitePicker(null)
+    stopListening()
+    const clip = recordingRef.current ? await recordingRef.current.stop() : null
+
     const entry = {
       id: Date.now(),
       date: new Date().toISOString(),
-      medication: PEN_DATA[medication].name,
+      medication: currentMedication.name,
       penStrength: currentPen.label,
-      clicks: clickCount,
-      dose: currentDose,
+      clicks,
+      dose: clicksTo(clicks, 'mg', currentPen),
       targetDose: targetDose,
+      penId: activePen?.id || null,
+      site,
+      targetClicks,
+      overTarget: overTargetClicks(clicks, targetClicks) > 0,
+      ...(sessionLogRef.current && { sessionLog: sessionLogRef.current.get() }),
     }
 
-    const newHistory = [entry, ...history]
-    setHistory(newHistory)
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(newHistory))
-    stopListening()
+    // The dose, the pen it was drawn from and the session's clip are saved together
+    const newPens = rebookEntryClicks(pens, null, entry)
+    putDose(entry, activePen ? { inventory: serializeInventory(newPens) } : {}, clip)
+      .catch(reportSaveError('this dose'))
+
+    setPens(newPens)
+    setHistory(prev => [entry, ...prev])
     setClickCount(0)
+    setCadenceFlags(NO_CADENCE_FLAGS)
+    setGatedClicks(0)
+    sessionLogRef.current = null
+    recordingRef.current = null
   }
 
-  // Clear history
-  const clearHistory = () => {
-    if (window.confirm('Are you sure you want to clear all dose history?')) {
-      setHistory([])
-      localStorage.removeItem(STORAGE_KEY)
-    }
+  // Select a medication, starting from its first pen strength
+  const selectMedication = (key) => {
+    setMedication(key)
+    setPenIndex(0)
   }
 
-  // Manual click adjustment
-  const adjustClicks = (delta) => {
-    setClickCount(prev => Math.max(0, prev + delta))
+  // Open the catalog editor, adding pens to the selected medication by default
+  const openCatalogEditor = () => {
+    setCatalogEditor({
+      medicationForm: { name: '', doses: '' },
+      penForm: { medication, label: '', concentration: '', volume: '', totalClicks: '' },
+      errors: [],
+    })
   }
 
-  // Reset click count (without stopping listening)
-  const resetCount = () => {
-    setClickCount(0)
-    setTargetReached(false)
+  const updateCatalogForm = (form, changes) => {
+    setCatalogEditor(prev => ({ ...prev, [form]: { ...prev[form], ...changes } }))
   }
 
-  // Handle quick dose selection
-  const selectDose = (dose) => {
-    setTargetDose(dose)
-    setCustomDose('')
+  // Add a custom medication; it shows up in the pickers once it has a pen
+  const addCustomMedication = () => {
+    const { name, doses } = catalogEditor.medicationForm
+    const values = { name, doses: parseDoses(doses) }
+    const errors = validateMedication(values)
+    if (errors.length > 0) {
+      setCatalogEditor(prev => ({ ...prev, errors }))
+      return
+    }
+
+    const newMedication = createMedication(values)
+    setCustomCatalog(prev => addMedication(prev, newMedication))
+    setCatalogEditor(prev => ({
+      medicationForm: { name: '', doses: '' },
+      penForm: { ...prev.penForm, medication: newMedication.key },
+      errors: [],
+    }))
   }
 
-  // Handle custom dose input
-  const handleCustomDose = (e) => {
-    const value = e.target.value
-    setCustomDose(value)
-    const parsed = parseFloat(value)
-    if (!isNaN(parsed) && parsed > 0) {
-      setTargetDose(parsed)
+  const addCustomPen = () => {
+    const { medication: penMedication, label, concentration, volume, totalClicks } = catalogEditor.penForm
+    const values = {
+      medication: penMedication,
+      label,
+      concentration: parseFloat(concentration),
+      volume: parseFloat(volume),
+      totalClicks: Number(totalClicks),
+    }
+    const errors = validatePen(values)
+    if (errors.length > 0) {
+      setCatalogEditor(prev => ({ ...prev, errors }))
+      return
     }
+
+    setCustomCatalog(prev => addPen(prev, createPenSpec(values)))
+    setCatalogEditor(prev => ({
+      ...prev,
+      penForm: { ...prev.penForm, label: '', concentration: '', volume: '', totalClicks: '' },
+      errors: [],
+    }))
   }
 
-  // Format date for display
-  const formatDate = (isoString) => {
-    const date = new Date(isoString)
-    return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+  const deleteCustomMedication = (entry) => {
+    if (window.confirm(`Delete ${entry.name} and its pens?`)) {
+      setCustomCatalog(prev => removeMedication(prev, entry.key))
+      if (entry.key === medication) {
+        selectMedication(DEFAULT_MEDICATION)
+      }
+      setCatalogEditor(prev => (
+        prev.penForm.medication === entry.key
+          ? { ...prev, penForm: { ...prev.penForm, medication: DEFAULT_MEDICATION } }
+          : prev
+      ))
+    }
   }
 
-  return (
-    <div className="min-h-screen bg-slate-900 text-white p-4 safe-area-bottom">
-      <div className="max-w-md mx-auto space-y-4">
-        {/* Instructions Modal */}
+  const deleteCustomPen = (pen) => {
+    if (window.confirm(`Delete the ${pen.label} pen?`)) {
+      setCustomCatalog(prev => removePenSpec(prev, pen.id))
+      // A medication without pens leaves the catalog, so move off it; otherwise
+      // pen indices after this one shift down, so start again from the first pen
+      if (pen.medication === medication && currentMedication.pens.length === 1) {
+        selectMedication(DEFAULT_MEDICATION)
+      } else if (pen.medication === medication) {
+        setPenIndex(0)
+      }
+    }
+  }
+
+  // Register a pen of the selected medication and strength and start using it
+  const registerPen = () => {
+    const pen = createPen({
+      medication,
+      penLabel: currentPen.label,
+      totalClicks: currentPen.totalClicks,
+      openedAt: newPen.openedAt,
+      lot: newPen.lot,
+    })
+    setPens(prev => [...prev, pen])
+    setActivePenId(pen.id)
+    setNewPen(null)
+  }
+
+  // Switch to a registered pen, selecting its medication and strength
+  const switchToPen = (pen) => {
+    const idx = penCatalog[pen.medication]?.pens.findIndex(p => p.label === pen.penLabel) ?? -1
+    if (idx === -1) {
+      setError(`${pen.penLabel} is no longer a known pen strength`)
+      return
+    }
+    setMedication(pen.medication)
+    setPenIndex(idx)
+    setActivePenId(pen.id)
+  }
+
+  const discardPen = (pen) => {
+    if (window.confirm(`Remove the ${penCatalog[pen.medication]?.name || pen.medication} ${pen.penLabel} pen opened ${pen.openedAt}?`)) {
+      setPens(prev => removePen(prev, pen.id))
+      if (pen.id === activePenId) {
+        setActivePenId(null)
+      }
+    }
+  }
+
+  // Correct the clicks used from a pen, e.g. after priming or a dose not saved here
+  const adjustPenUsage = (pen) => {
+    const input = window.prompt('Clicks used from this pen', String(pen.usedClicks))
+    const usedClicks = parseInt(input, 10)
+    if (input !== null && !isNaN(usedClicks) && usedClicks >= 0) {
+      setPens(prev => updatePen(prev, pen.id, { usedClicks }))
+    }
+  }
+
+  // Clear history
+  const clearHistory = () => {
+    if (window.confirm('Are you sure you want to clear all dose history?')) {
+      clearDoses()
+        .then(() => {
+          setHistory([])
+          setDeletedEntry(null)
+        })
+        .catch(reportSaveError('cleared history'))
+    }
+  }
+
+  // Pen in the catalog by the names a history entry records
+  const findCatalogPen = (medicationName, penLabel) =>
+    Object.values(penCatalog).find(entry => entry.name === medicationName)?.pens.find(pen => pen.label === penLabel)
+
+  // Review the session a dose was counted in, with its audio clip if one was saved
+  const openSessionViewer = async (entry) => {
+    setSessionViewer({ entry, clipUrl: null })
+    try {
+      const clip = await loadClip(entry.id)
+      if (clip) {
+        setSessionViewer(prev => prev?.entry.id === entry.id ? { ...prev, clipUrl: URL.createObjectURL(clip) } : prev)
+      }
+    } catch (err) {
+      console.error('Failed to load session clip:', err)
+    }
+  }
+
+  const closeSessionViewer = () => {
+    if (sessionViewer.clipUrl) URL.revokeObjectURL(sessionViewer.clipUrl)
+    setSessionViewer(null)
+  }
+
+  const openEntryEditor = (entry) => {
+    setEntryEditor({ entry, form: entryForm(entry), errors: [] })
+  }
+
+  const updateEntryForm = (changes) => {
+    setEntryEditor(prev => {
+      const form = { ...prev.form, ...changes }
+      // Keep the dose in step with the clicks and pen; it can still be typed over
+      if (('clicks' in changes || 'penStrength' in changes) && /^\d+$/.test(form.clicks.trim())) {
+        const pen = findCatalogPen(form.medication, form.penStrength)
+        if (pen) form.dose = String(Number(clicksTo(parseInt(form.clicks, 10), 'mg', pen).toFixed(4)))
+      }
+      return { ...prev, form }
+    })
+  }
+
+  const toggleSideEffect = (effect) => {
+    const { sideEffects } = entryEditor.form
+    updateEntryForm({
+      sideEffects: sideEffects.includes(effect) ? sideEffects.filter(e => e !== effect) : [...sideEffects, effect],
+    })
+  }
+
+  // Save an edited entry, moving its clicks between pens if they changed
+  const saveEntryEdit = () => {
+    const { entry, form } = entryEditor
+    const errors = validateEntryForm(form)
+    if (errors.length > 0) {
+      setEntryEditor(prev => ({ ...prev, errors }))
+      return
+    }
+
+    const updated = applyEntryForm(entry, form)
+    const newPens = rebookEntryClicks(pens, entry, updated)
+    putDose(updated, newPens !== pens ? { inventory: serializeInventory(newPens) } : {})
+      .catch(reportSaveError('this dose'))
+
+    setPens(newPens)
+    setHistory(prev => mergeHistory(prev.filter(e => e.id !== entry.id), [updated]))
+    setEntryEditor(null)
+  }
+
+  // Delete an entry, giving its clicks back to its pen; it can be restored for a while
+  const deleteEntry = (entry) => {
+    const newPens = rebookEntryClicks(pens, entry, null)
+    const deletion = deleteDose(entry.id, newPens !== pens ? { inventory: serializeInventory(newPens) } : {})
+    deletion.catch(reportSaveError('the deletion'))
+    deletedClipRef.current = deletion.catch(() => null)
+
+    setPens(newPens)
+    setHistory(prev => prev.filter(e => e.id !== entry.id))
+    setEntryEditor(null)
+    setDeletedEntry(entry)
+    clearTimeout(undoTimerRef.current)
+    undoTimerRef.current = setTimeout(() => setDeletedEntry(null), 10000)
+  }
+
+  const undoDelete = () => {
+    const entry = deletedEntry
+    const newPens = rebookEntryClicks(pens, null, entry)
+    // Restore once the deletion has finished, with the clip it removed
+    deletedClipRef.current
+      .then(clip => putDose(entry, newPens !== pens ? { inventory: serializeInventory(newPens) } : {}, clip))
+      .catch(reportSaveError('the restored dose'))
+
+    setPens(newPens)
+    setHistory(prev => mergeHistory(prev, [entry]))
+    setDeletedEntry(null)
+    clearTimeout(undoTimerRef.current)
+  }
+
+  // Export dose history as a spreadsheet
+  const exportCsv = () => {
+    downloadFile(`glp1-doses-${new Date().toISOString().slice(0, 10)}.csv`, historyToCsv(history), 'text/csv')
+  }
+
+  const toggleExportPart = (part) => {
+    setExportDialog(prev => ({
+      parts: prev.parts.includes(part) ? prev.parts.filter(p => p !== part) : [...prev.parts, part],
+    }))
+  }
+
+  // Export dose history and the chosen saved data as a JSON backup
+  const exportBackup = async () => {
+    try {
+      const { records } = await loadStoredData()
+      const backup = createBackup(history, records, exportDialog.parts)
+      downloadFile(`glp1-backup-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(backup, null, 2), 'application/json')
+      setExportDialog(null)
+    } catch (err) {
+      console.error('Export error:', err)
+      setError(`Could not export: ${err.message}`)
+    }
+  }
+
+  // Read an exported file and show what importing it would change
+  const importFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    setError(null)
+    try {
+      const { entries, invalid, records, parts } = parseBackup(await file.text(), file.name)
+      setImportPreview({
+        fileName: file.name,
+        ...previewImport(history, entries),
+        invalid,
+        records,
+        parts,
+        replace: [],
+      })
+    } catch (err) {
+      console.error('Import error:', err)
+      setError(`Could not import ${file.name}: ${err.message}`)
+    }
+  }
+
+  const toggleImportPart = (part) => {
+    setImportPreview(prev => ({
+      ...prev,
+      replace: prev.replace.includes(part) ? prev.replace.filter(p => p !== part) : [...prev.replace, part],
+    }))
+  }
+
+  // Add the new doses, and replace the chosen saved data, in one transaction
+  const confirmImport = async () => {
+    const { added, records, replace } = importPreview
+    try {
+      await putDoses(added, recordsForParts(records, replace))
+    } catch (err) {
+      reportSaveError('the import')(err)
+      return
+    }
+
+    // Replaced settings are picked up by starting the app again
+    if (replace.length > 0) {
+      window.location.reload()
+      return
+    }
+    setHistory(prev => mergeHistory(prev, added))
+    setImportPreview(null)
+  }
+
+  // Remove saved data that couldn't be read, after offering a copy
+  const discardStorageProblem = (problem) => {
+    if (window.confirm('Discard this unreadable data? Download it first if you may need it.')) {
+      discardProblem(problem)
+        .then(() => setStorageProblems(prev => prev.filter(p => p !== problem)))
+        .catch(reportSaveError('changes'))
+    }
+  }
+
+  // Manual click adjustment
+  const adjustClicks = (delta) => {
+    setClickCount(prev => Math.max(0, prev + delta))
+    sessionLogRef.current?.add('adjust', { delta })
+  }
+
+  // Reset click count (without stopping listening)
+  const resetCount = () => {
+    setClickCount(0)
+    setTargetReached(false)
+    setCadenceFlags(NO_CADENCE_FLAGS)
+    setGatedClicks(0)
+    sessionLogRef.current?.add('reset')
+  }
+
+  // Handle quick dose selection
+  const selectDose = (dose) => {
+    setTargetDose(dose)
+    setCustomDose('')
+  }
+
+  // Open the schedule editor, starting from the current schedule or the
+  // selected medication's standard ladder
+  const openScheduleEditor = () => {
+    const source = schedule && schedule.medication === medication
+      ? schedule
+      : createSchedule({
+        medication,
+        startDate: new Date().toISOString().slice(0, 10),
+        steps: ladderFromDoses(currentMedication.doses),
+      })
+    setScheduleEditor({
+      startDate: source.startDate,
+      steps: source.steps.map(step => ({ dose: String(step.dose), weeks: step.weeks === null ? '' : String(step.weeks) })),
+      restart: { missedWeeks: String(source.restart.missedWeeks), action: source.restart.action },
+      errors: [],
+    })
+  }
+
+  const updateScheduleStep = (index, changes) => {
+    setScheduleEditor(prev => ({
+      ...prev,
+      steps: prev.steps.map((step, i) => (i === index ? { ...step, ...changes } : step)),
+    }))
+  }
+
+  const saveSchedule = () => {
+    const values = {
+      medication,
+      startDate: scheduleEditor.startDate,
+      steps: scheduleEditor.steps.map(step => ({
+        dose: parseFloat(step.dose),
+        weeks: step.weeks.trim() === '' ? null : Number(step.weeks),
+      })),
+      restart: {
+        missedWeeks: Number(scheduleEditor.restart.missedWeeks),
+        action: scheduleEditor.restart.action,
+      },
+    }
+    const errors = validateSchedule(values)
+    if (errors.length > 0) {
+      setScheduleEditor(prev => ({ ...prev, errors }))
+      return
+    }
+    setSchedule(createSchedule(values))
+    setScheduleEditor(null)
+  }
+
+  const removeSchedule = () => {
+    if (window.confirm('Remove the titration schedule?')) {
+      setSchedule(null)
+      setScheduleEditor(null)
+    }
+  }
+
+  // Turn dose reminders on or off, asking for notification permission first
+  const toggleReminders = async () => {
+    if (reminders.enabled) {
+      setReminders(prev => ({ ...prev, enabled: false }))
+      return
+    }
+    if (!notificationsSupported()) {
+      setError('Notifications are not supported in this browser.')
+      return
+    }
+    if (!(await requestNotificationPermission())) {
+      setError('Notifications are blocked. Allow them in your browser settings to get dose reminders.')
+      return
+    }
+    setError(null)
+    setReminders(prev => ({ ...prev, enabled: true, notifiedDue: null }))
+  }
+
+  // Handle custom dose input
+  const handleCustomDose = (e) => {
+    const value = e.target.value
+    setCustomDose(value)
+    const parsed = parseFloat(value)
+    if (!isNaN(parsed) && parsed > 0) {
+      setTargetDose(parsed)
+    }
+  }
+
+  // Format date for display
+  const formatDate = (isoString) => {
+    const date = new Date(isoString)
+    return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-900 text-white p-4 safe-area-bottom">
+      <div className="max-w-md mx-auto space-y-4">
+        {/* Instructions Modal */}
         {showInstructions && (
           <div className="fixed inset-0 bg-black/90 flex items-center justify-center p-4 z-50 animate-fade-in-up">
             <div className="bg-slate-800 rounded-2xl p-6 max-w-sm w-full space-y-4 max-h-[90vh] overflow-y-auto">
@@ -698,14 +1614,67 @@ function App() {
           </button>
         </header>
 
+        {/* Update Prompt */}
+        {updateWorker && (
+          <div className="bg-cyan-900/50 border border-cyan-700 rounded-xl p-4 flex justify-between items-center gap-3 animate-fade-in-up">
+            <p className="text-cyan-200 text-sm">
+              A new version is available.{isListening && ' Save or stop this dose first.'}
+            </p>
+            <button
+              onClick={() => applyUpdate(updateWorker)}
+              disabled={isListening}
+              className="bg-cyan-600 hover:bg-cyan-500 disabled:opacity-50 text-white text-sm font-medium px-4 py-2 rounded-lg transition-colors shrink-0"
+            >
+              Reload
+            </button>
+          </div>
+        )}
+
+        {/* Next Dose Due */}
+        {dueStatus && (
+          <div className={`rounded-xl p-4 flex justify-between items-center gap-3 ${
+            dueStatus.overdue ? 'bg-red-900/50 border border-red-700' : dueStatus.dueToday ? 'bg-amber-900/40 border border-amber-700' : 'bg-slate-800'
+          }`}>
+            <div>
+              <p className={`font-medium ${dueStatus.overdue ? 'text-red-300' : dueStatus.dueToday ? 'text-amber-300' : 'text-white'}`}>
+                {dueStatus.overdue && `Dose overdue by ${dueStatus.days} day${dueStatus.days > 1 ? 's' : ''}`}
+                {dueStatus.dueToday && 'Dose due today'}
+                {!dueStatus.overdue && !dueStatus.dueToday && `Next dose due in ${dueStatus.days} day${dueStatus.days > 1 ? 's' : ''}`}
+              </p>
+              <p className="text-slate-400 text-xs">
+                {new Date(nextDue).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}
+                {' · every '}{reminders.intervalDays} day{reminders.intervalDays > 1 ? 's' : ''}
+              </p>
+            </div>
+            {reminders.enabled && (dueStatus.overdue || dueStatus.dueToday) && (
+              <button
+                onClick={() => setReminders(prev => snoozeReminder(prev))}
+                className="text-slate-300 hover:text-white text-xs bg-slate-700 hover:bg-slate-600 px-3 py-2 rounded-lg transition-colors shrink-0"
+              >
+                Snooze
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Medication Selection */}
         <div className="bg-slate-800 rounded-xl p-4">
-          <label className="text-slate-400 text-sm block mb-2">Medication</label>
+          <div className="flex justify-between items-center mb-2">
+            <label className="text-slate-400 text-sm">Medication</label>
+            {!isListening && (
+              <button
+                onClick={openCatalogEditor}
+                className="text-cyan-400 hover:text-cyan-300 text-xs font-medium transition-colors"
+              >
+                Manage medications
+              </button>
+            )}
+          </div>
           <div className="grid grid-cols-2 gap-3">
-            {Object.entries(PEN_DATA).map(([key, data]) => (
+            {Object.entries(penCatalog).map(([key, data]) => (
               <button
                 key={key}
-                onClick={() => setMedication(key)}
+                onClick={() => selectMedication(key)}
                 disabled={isListening}
                 className={`py-4 rounded-xl font-medium transition-all duration-200 active:scale-[0.97] ${
                   medication === key
@@ -723,7 +1692,7 @@ function App() {
         <div className="bg-slate-800 rounded-xl p-4">
           <label className="text-slate-400 text-sm block mb-2">Pen Strength</label>
           <div className="grid grid-cols-2 gap-2">
-            {PEN_DATA[medication].pens.map((pen, idx) => (
+            {currentMedication.pens.map((pen, idx) => (
               <button
                 key={idx}
                 onClick={() => setPenIndex(idx)}
@@ -740,14 +1709,253 @@ function App() {
           </div>
           <p className="text-slate-500 text-xs mt-2">
             {currentPen.totalClicks} total clicks, {currentPen.mgPerClick.toFixed(4)} mg/click
+            {getConcentration(currentPen) && `, ${getConcentration(currentPen).toFixed(2)} mg/mL`}
           </p>
         </div>
 
+        {/* Pen Inventory */}
+        {!isListening && (
+          <div className="bg-slate-800 rounded-xl p-4 space-y-3">
+            <div className="flex justify-between items-center">
+              <label className="text-slate-400 text-sm">My Pens</label>
+              {!newPen && (
+                <button
+                  onClick={() => setNewPen({ openedAt: new Date().toISOString().slice(0, 10), lot: '' })}
+                  className="text-cyan-400 hover:text-cyan-300 text-xs font-medium transition-colors"
+                >
+                  + Open a new {currentPen.label} pen
+                </button>
+              )}
+            </div>
+
+            {newPen && (
+              <div className="bg-slate-700/50 rounded-lg p-3 space-y-2 animate-fade-in-up">
+                <p className="text-slate-300 text-sm">{currentMedication.name} {currentPen.label}</p>
+                <div className="flex gap-2">
+                  <input
+                    type="date"
+                    value={newPen.openedAt}
+                    onChange={(e) => setNewPen(prev => ({ ...prev, openedAt: e.target.value }))}
+                    className="flex-1 bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                  />
+                  <input
+                    type="text"
+                    value={newPen.lot}
+                    onChange={(e) => setNewPen(prev => ({ ...prev, lot: e.target.value }))}
+                    placeholder="Lot (optional)"
+                    className="flex-1 min-w-0 bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                  />
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setNewPen(null)}
+                    className="flex-1 bg-slate-600 hover:bg-slate-500 text-white text-sm py-2 rounded-lg transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={registerPen}
+                    disabled={!newPen.openedAt}
+                    className="flex-1 bg-cyan-600 hover:bg-cyan-500 disabled:opacity-50 text-white text-sm py-2 rounded-lg transition-colors"
+                  >
+                    Add Pen
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {pens.length === 0 && !newPen && (
+              <p className="text-slate-500 text-xs">
+                Register the pen you're using to keep track of how much is left in it.
+              </p>
+            )}
+
+            {pens.map(pen => {
+              const penData = penCatalog[pen.medication]?.pens.find(p => p.label === pen.penLabel)
+              const isActive = pen.id === activePen?.id
+              return (
+                <div
+                  key={pen.id}
+                  className={`rounded-lg p-3 text-sm ${isActive ? 'bg-cyan-900/40 border border-cyan-700' : 'bg-slate-700/50'}`}
+                >
+                  <div className="flex justify-between items-start gap-2">
+                    <div className="min-w-0">
+                      <p className="text-white font-medium truncate">
+                        {penCatalog[pen.medication]?.name || pen.medication} {pen.penLabel}
+                      </p>
+                      <p className="text-slate-400 text-xs">
+                        Opened {pen.openedAt}{pen.lot && ` · Lot ${pen.lot}`}
+                      </p>
+                    </div>
+                    <p className="text-slate-300 text-xs text-right shrink-0">
+                      {remainingClicks(pen)} / {pen.totalClicks} clicks
+                      {penData && (
+                        <span className="block text-slate-500">
+                          {(remainingClicks(pen) * penData.mgPerClick).toFixed(2)} mg left
+                        </span>
+                      )}
+                    </p>
+                  </div>
+                  <div className="flex gap-3 mt-2 text-xs">
+                    {!isActive && (
+                      <button onClick={() => switchToPen(pen)} className="text-cyan-400 hover:text-cyan-300 transition-colors">
+                        Use this pen
+                      </button>
+                    )}
+                    {isActive && <span className="text-cyan-400">In use</span>}
+                    <button onClick={() => adjustPenUsage(pen)} className="text-slate-400 hover:text-slate-300 transition-colors">
+                      Adjust
+                    </button>
+                    <button onClick={() => discardPen(pen)} className="text-red-400 hover:text-red-300 transition-colors">
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        {/* Titration Schedule */}
+        {!isListening && (
+          <div className="bg-slate-800 rounded-xl p-4 space-y-2">
+            <div className="flex justify-between items-center">
+              <label className="text-slate-400 text-sm">Titration Schedule</label>
+              <button
+                onClick={openScheduleEditor}
+                className="text-cyan-400 hover:text-cyan-300 text-xs font-medium transition-colors"
+              >
+                {schedule && schedule.medication === medication ? 'Edit' : 'Set up'}
+              </button>
+            </div>
+
+            {!schedule && (
+              <p className="text-slate-500 text-xs">
+                Follow a dose ladder and have this week's dose picked for you.
+              </p>
+            )}
+
+            {schedule && schedule.medication !== medication && (
+              <p className="text-slate-500 text-xs">
+                Your schedule is for {scheduleMedication?.name || 'another medication'}.
+              </p>
+            )}
+
+            {schedule && schedule.medication === medication && !scheduleStatus && (
+              <p className="text-slate-300 text-sm">
+                Starts {new Date(`${schedule.startDate}T00:00:00`).toLocaleDateString()} at {schedule.steps[0].dose} mg
+              </p>
+            )}
+
+            {scheduleStatus && (
+              <>
+                <p className="text-white text-sm">
+                  This week: <span className="font-semibold text-emerald-400">{scheduleStatus.dose} mg</span>
+                  <span className="text-slate-400">
+                    {' '}· step {scheduleStatus.stepIndex + 1} of {schedule.steps.length}
+                    {scheduleStatus.weeksLeft !== null && `, week ${scheduleStatus.weeksAtStep + 1} of ${schedule.steps[scheduleStatus.stepIndex].weeks}`}
+                  </span>
+                </p>
+                {scheduleStatus.dosedThisWeek && (
+                  <p className="text-emerald-400 text-xs">{'\u2713'} Dose logged this week</p>
+                )}
+                {scheduleStatus.missedWeeks > 0 && (
+                  <p className="text-amber-400 text-xs">
+                    No dose logged for {scheduleStatus.missedWeeks} week{scheduleStatus.missedWeeks > 1 ? 's' : ''}
+                    {scheduleStatus.restarted && ` - ${RESTART_ACTIONS[schedule.restart.action].toLowerCase()} applied`}
+                  </p>
+                )}
+                {scheduleStatus.upcoming.length > 0 && (
+                  <ul className="text-slate-400 text-xs space-y-0.5">
+                    {scheduleStatus.upcoming.slice(0, 3).map(stepUp => (
+                      <li key={stepUp.date}>
+                        {new Date(stepUp.date).toLocaleDateString()}: step up to {stepUp.dose} mg
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {scheduleStatus.weeksLeft === null && (
+                  <p className="text-slate-500 text-xs">Holding at this dose</p>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Reminders */}
+        {!isListening && (
+          <div className="bg-slate-800 rounded-xl p-4 space-y-3">
+            <div className="flex justify-between items-center">
+              <label className="text-slate-400 text-sm">Dose Reminders</label>
+              <button
+                onClick={toggleReminders}
+                className={`px-3 py-1 rounded-lg text-xs font-medium transition-colors ${
+                  reminders.enabled ? 'bg-cyan-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                }`}
+              >
+                {reminders.enabled ? 'On' : 'Off'}
+              </button>
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+              <label className="text-slate-500 text-xs space-y-1">
+                <span className="block">Every (days)</span>
+                <input
+                  type="number"
+                  min="1"
+                  inputMode="numeric"
+                  value={reminders.intervalDays}
+                  onChange={(e) => {
+                    const days = parseInt(e.target.value, 10)
+                    if (days > 0) setReminders(prev => ({ ...prev, intervalDays: days, notifiedDue: null }))
+                  }}
+                  className="w-full bg-slate-700 text-white rounded-lg px-2 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </label>
+              <label className="text-slate-500 text-xs space-y-1">
+                <span className="block">At</span>
+                <input
+                  type="time"
+                  value={reminders.time}
+                  onChange={(e) => e.target.value && setReminders(prev => ({ ...prev, time: e.target.value, notifiedDue: null }))}
+                  className="w-full bg-slate-700 text-white rounded-lg px-2 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </label>
+              <label className="text-slate-500 text-xs space-y-1">
+                <span className="block">Snooze</span>
+                <select
+                  value={reminders.snoozeMinutes}
+                  onChange={(e) => setReminders(prev => ({ ...prev, snoozeMinutes: Number(e.target.value) }))}
+                  className="w-full bg-slate-700 text-white rounded-lg px-2 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  {SNOOZE_OPTIONS.map(minutes => (
+                    <option key={minutes} value={minutes}>
+                      {minutes >= 60 ? `${minutes / 60} hr` : `${minutes} min`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            {suggestedInterval !== null && suggestedInterval !== reminders.intervalDays && (
+              <button
+                onClick={() => setReminders(prev => ({ ...prev, intervalDays: suggestedInterval, notifiedDue: null }))}
+                className="text-cyan-400 hover:text-cyan-300 text-xs transition-colors"
+              >
+                Your history suggests every {suggestedInterval} day{suggestedInterval > 1 ? 's' : ''} - use that
+              </button>
+            )}
+            {reminders.enabled && !triggersSupported() && (
+              <p className="text-slate-500 text-xs">
+                This browser can only show reminders while the app is open. Reminders missed while it was closed show when you next open it.
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Target Dose Selection */}
         <div className="bg-slate-800 rounded-xl p-4">
           <label className="text-slate-400 text-sm block mb-2">Target Dose (mg)</label>
           <div className="flex flex-wrap gap-2 mb-3">
-            {PEN_DATA[medication].doses.map(dose => (
+            {currentMedication.doses.map(dose => (
               <button
                 key={dose}
                 onClick={() => selectDose(dose)}
@@ -758,92 +1966,960 @@ function App() {
                     : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
                 } ${isListening ? 'opacity-50 cursor-not-allowed' : ''}`}
               >
-                {dose}
+                {dose}
+              </button>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            <span className="text-slate-400 text-sm">Custom:</span>
+            <input
+              type="number"
+              step="0.05"
+              min="0.05"
+              value={customDose}
+              onChange={handleCustomDose}
+              disabled={isListening}
+              placeholder="Enter dose"
+              className={`flex-1 bg-slate-700 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-cyan-500 ${
+                isListening ? 'opacity-50 cursor-not-allowed' : ''
+              }`}
+            />
+          </div>
+          <p className="text-slate-500 text-xs mt-2">
+            Target: {targetClicks} clicks for {targetDose.toFixed(2)} mg
+          </p>
+          {Math.abs(dosePlan.errorMg) >= 0.0005 && (
+            <p className={`text-xs mt-1 ${Math.abs(dosePlan.errorFraction) >= 0.05 ? 'text-amber-400' : 'text-slate-500'}`}>
+              {targetClicks} clicks deliver {dosePlan.deliveredMg.toFixed(3)} mg
+              ({dosePlan.errorMg > 0 ? '+' : ''}{(dosePlan.errorFraction * 100).toFixed(1)}% of target)
+            </p>
+          )}
+        </div>
+
+        {/* Calibration Modal */}
+        {isCalibrating && (
+          <div className="fixed inset-0 bg-black/90 flex items-center justify-center p-4 z-50 animate-fade-in-up">
+            <div className="bg-slate-800 rounded-2xl p-6 max-w-sm w-full space-y-5">
+              <div className="text-center">
+                <h2 className="text-xl font-bold text-cyan-400">Calibrate Your Pen</h2>
+                <p className="text-slate-300 text-sm mt-1">
+                  {calibrationTarget
+                    ? calibrationTarget.name
+                    : defaultSignatureName(currentMedication.name, currentPen.label, deviceLabel.trim())}
+                </p>
+                <p className="text-slate-400 text-sm mt-1">
+                  Hold pen close to microphone and click 5 times
+                </p>
+              </div>
+
+              {/* Listening indicator */}
+              <div className="flex justify-center">
+                <div className="relative">
+                  <div className="w-20 h-20 rounded-full bg-slate-700 flex items-center justify-center">
+                    <svg className="w-10 h-10 text-cyan-400" fill="currentColor" viewBox="0 0 20 20">
+                      <path fillRule="evenodd" d="M7 4a3 3 0 016 0v4a3 3 0 11-6 0V4zm4 10.93A7.001 7.001 0 0017 8a1 1 0 10-2 0A5 5 0 015 8a1 1 0 00-2 0 7.001 7.001 0 006 6.93V17H6a1 1 0 100 2h8a1 1 0 100-2h-3v-2.07z" clipRule="evenodd" />
+                    </svg>
+                  </div>
+                  <div className="absolute inset-0 rounded-full animate-pulse-ring bg-cyan-500/30"></div>
+                </div>
+              </div>
+
+              {/* Click indicators */}
+              <div className="flex justify-center gap-3">
+                {[0, 1, 2, 3, 4].map(i => (
+                  <div
+                    key={i}
+                    className={`w-10 h-10 rounded-full flex items-center justify-center text-sm font-bold transition-all duration-300 ${
+                      i < calibrationClicks.length
+                        ? 'bg-emerald-500 text-white scale-110 animate-bounce-in'
+                        : 'bg-slate-700 text-slate-500'
+                    }`}
+                  >
+                    {i < calibrationClicks.length ? '\u2713' : i + 1}
+                  </div>
+                ))}
+              </div>
+
+              <p className="text-slate-300 text-center text-2xl font-bold">
+                {calibrationClicks.length} <span className="text-slate-500 text-lg font-normal">/ 5</span>
+              </p>
+
+              {noiseStatus === 'measuring' && (
+                <p className="text-slate-400 text-xs text-center">
+                  Measuring background noise, wait a moment before clicking...
+                </p>
+              )}
+
+              {/* Quality report */}
+              {calibrationReport.quality !== null && (
+                <div className="bg-slate-700/50 rounded-xl p-4 space-y-3">
+                  <div className="flex justify-between items-center">
+                    <span className="text-slate-400 text-sm">Consistency</span>
+                    <span className={`text-sm font-semibold ${QUALITY_COLORS[calibrationReport.rating]}`}>
+                      {getQualityRating(calibrationReport.quality).label} ({Math.round(calibrationReport.quality * 100)}%)
+                    </span>
+                  </div>
+
+                  {/* Per-sample similarity to the other samples */}
+                  <div className="flex items-end gap-1 h-16">
+                    {calibrationReport.scores.map((score, i) => (
+                      <div key={i} className="flex-1 h-full flex items-end" title={`Click ${i + 1}: ${Math.round(score * 100)}%`}>
+                        <div
+                          className={`w-full rounded-t ${
+                            calibrationReport.rejected.includes(i) ? 'bg-red-500' : 'bg-emerald-500'
+                          }`}
+                          style={{ height: `${Math.max(score * 100, 4)}%` }}
+                        />
+                      </div>
+                    ))}
+                  </div>
+
+                  {calibrationReport.rejected.length > 0 && (
+                    <p className="text-red-300 text-xs">
+                      {calibrationReport.rejected.length} click{calibrationReport.rejected.length > 1 ? 's' : ''} didn't match the others and will be ignored
+                    </p>
+                  )}
+                  {!calibrationReport.acceptable && (
+                    <div className="flex items-center justify-between gap-2">
+                      <p className="text-amber-300 text-xs">Clicks are too inconsistent. Keep clicking or start over somewhere quieter.</p>
+                      <button
+                        onClick={() => setCalibrationClicks([])}
+                        className="shrink-0 bg-slate-600 hover:bg-slate-500 text-slate-200 text-xs py-1.5 px-3 rounded-lg"
+                      >
+                        Start Over
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div className="flex gap-3">
+                <button
+                  onClick={cancelCalibration}
+                  className="flex-1 bg-slate-700 hover:bg-slate-600 active:scale-[0.98] text-white py-4 rounded-xl transition-all duration-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={finishCalibration}
+                  disabled={!calibrationReport.acceptable}
+                  className={`flex-1 py-4 rounded-xl font-medium transition-all duration-200 ${
+                    calibrationReport.acceptable
+                      ? 'bg-emerald-600 hover:bg-emerald-500 active:scale-[0.98] text-white shadow-lg shadow-emerald-600/30'
+                      : 'bg-slate-700 text-slate-500 cursor-not-allowed'
+                  }`}
+                >
+                  {calibrationReport.acceptable && 'Save Signature'}
+                  {!calibrationReport.acceptable && calibrationReport.kept.length < MIN_CALIBRATION_SAMPLES &&
+                    `Need ${MIN_CALIBRATION_SAMPLES - calibrationReport.kept.length} more`}
+                  {!calibrationReport.acceptable && calibrationReport.kept.length >= MIN_CALIBRATION_SAMPLES &&
+                    'Quality too low'}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Injection Site Modal */}
+        {sitePicker && (
+          <div className="fixed inset-0 bg-black/90 flex items-center justify-center p-4 z-50 animate-fade-in-up">
+            <div className="bg-slate-800 rounded-2xl p-6 max-w-sm w-full space-y-5 max-h-[90vh] overflow-y-auto">
+              <div className="text-center">
+                <h2 className="text-xl font-bold text-cyan-400">Injection Site</h2>
+                <p className="text-slate-400 text-sm mt-1">
+                  Suggested: <span className="text-emerald-400">{INJECTION_SITES[suggestedSite]}</span>
+                </p>
+              </div>
+
+              <BodyDiagram
+                selected={sitePicker.site}
+                suggested={suggestedSite}
+                recent={recentSiteUse}
+                onSelect={(site) => setSitePicker(prev => ({ ...prev, site }))}
+              />
+
+              <div className="text-center text-sm">
+                {sitePicker.site ? (
+                  <span className="text-white font-medium">{INJECTION_SITES[sitePicker.site]}</span>
+                ) : (
+                  <span className="text-slate-500">No site selected</span>
+                )}
+              </div>
+
+              {sitePicker.site in recentSiteUse && (
+                <div className="bg-amber-900/30 border border-amber-700/50 rounded-xl p-3 text-amber-300 text-xs">
+                  You used this site {describeDaysAgo(recentSiteUse[sitePicker.site])}.
+                  Consider another site to let it recover.
+                </div>
+              )}
+
+              <label className="flex items-center justify-between gap-2 text-slate-400 text-xs">
+                Warn when a site was used in the last
+                <select
+                  value={siteWindowDays}
+                  onChange={(e) => setSiteWindowDays(Number(e.target.value))}
+                  className="bg-slate-700 text-white rounded-lg px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  {SITE_WINDOW_OPTIONS.map(days => (
+                    <option key={days} value={days}>{days} days</option>
+                  ))}
+                </select>
+              </label>
+
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setSitePicker(null)}
+                  className="flex-1 bg-slate-700 hover:bg-slate-600 text-white font-medium py-3 rounded-xl transition-all duration-200"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={() => saveDose(sitePicker)}
+                  className="flex-1 bg-emerald-600 hover:bg-emerald-500 active:scale-[0.98] text-white font-semibold py-3 rounded-xl transition-all duration-200"
+                >
+                  Save Dose
+                </button>
+              </div>
+              <button
+                onClick={() => saveDose({ ...sitePicker, site: null })}
+                className="w-full text-slate-400 hover:text-slate-300 text-sm transition-colors"
+              >
+                Save without a site
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Edit Dose Modal */}
+        {entryEditor && (
+          <div className="fixed inset-0 bg-black/90 flex items-center justify-center p-4 z-50 animate-fade-in-up">
+            <div className="bg-slate-800 rounded-2xl p-6 max-w-sm w-full space-y-5 max-h-[90vh] overflow-y-auto">
+              <div className="text-center">
+                <h2 className="text-xl font-bold text-cyan-400">Edit Dose</h2>
+                {entryEditor.entry.editedAt && (
+                  <p className="text-slate-400 text-sm mt-1">{entryEditor.entry.detectedClicks} clicks were detected when it was saved</p>
+                )}
+              </div>
+
+              <div className="space-y-3">
+                <div className="space-y-1">
+                  <label className="text-slate-400 text-xs block">Date and time</label>
+                  <input
+                    type="datetime-local"
+                    value={entryEditor.form.date}
+                    onChange={(e) => updateEntryForm({ date: e.target.value })}
+                    className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                  />
+                </div>
+                <div className="space-y-1">
+                  <label className="text-slate-400 text-xs block">Pen</label>
+                  <select
+                    value={JSON.stringify([entryEditor.form.medication, entryEditor.form.penStrength])}
+                    onChange={(e) => {
+                      const [medicationName, penStrength] = JSON.parse(e.target.value)
+                      updateEntryForm({ medication: medicationName, penStrength })
+                    }}
+                    className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                  >
+                    {!findCatalogPen(entryEditor.entry.medication, entryEditor.entry.penStrength) && (
+                      <option value={JSON.stringify([entryEditor.entry.medication, entryEditor.entry.penStrength])}>
+                        {entryEditor.entry.medication} {entryEditor.entry.penStrength}
+                      </option>
+                    )}
+                    {Object.values(penCatalog).flatMap(entry => entry.pens.map(pen => (
+                      <option key={`${entry.name}-${pen.label}`} value={JSON.stringify([entry.name, pen.label])}>
+                        {entry.name} {pen.label}
+                      </option>
+                    )))}
+                  </select>
+                </div>
+                <div className="flex gap-3">
+                  <div className="flex-1 space-y-1">
+                    <label className="text-slate-400 text-xs block">Clicks</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={entryEditor.form.clicks}
+                      onChange={(e) => updateEntryForm({ clicks: e.target.value })}
+                      className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                    />
+                  </div>
+                  <div className="flex-1 space-y-1">
+                    <label className="text-slate-400 text-xs block">Dose (mg)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={entryEditor.form.dose}
+                      onChange={(e) => updateEntryForm({ dose: e.target.value })}
+                      className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                    />
+                  </div>
+                </div>
+              </div>
+
+              <div className="space-y-3 pt-3 border-t border-slate-700">
+                <div className="space-y-1">
+                  <label className="text-slate-400 text-xs block">Injection site</label>
+                  <select
+                    value={entryEditor.form.site}
+                    onChange={(e) => updateEntryForm({ site: e.target.value })}
+                    className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                  >
+                    <option value="">Not recorded</option>
+                    {Object.entries(INJECTION_SITES).map(([site, label]) => (
+                      <option key={site} value={site}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="space-y-1">
+                  <label className="text-slate-400 text-xs block">Side effects</label>
+                  <div className="flex flex-wrap gap-2">
+                    {SIDE_EFFECTS.map(effect => (
+                      <button
+                        key={effect}
+                        onClick={() => toggleSideEffect(effect)}
+                        className={`text-xs px-2 py-1 rounded-full transition-colors ${
+                          entryEditor.form.sideEffects.includes(effect)
+                            ? 'bg-cyan-600 text-white'
+                            : 'bg-slate-700 text-slate-400 hover:bg-slate-600'
+                        }`}
+                      >
+                        {effect}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div className="space-y-1">
+                  <label className="text-slate-400 text-xs block">Weight</label>
+                  <div className="flex gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={entryEditor.form.weight}
+                      onChange={(e) => updateEntryForm({ weight: e.target.value })}
+                      placeholder="Optional"
+                      className="flex-1 bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                    />
+                    <select
+                      value={entryEditor.form.weightUnit}
+                      onChange={(e) => updateEntryForm({ weightUnit: e.target.value })}
+                      className="bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                    >
+                      {WEIGHT_UNITS.map(unit => (
+                        <option key={unit} value={unit}>{unit}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                <div className="space-y-1">
+                  <label className="text-slate-400 text-xs block">Notes</label>
+                  <textarea
+                    value={entryEditor.form.notes}
+                    onChange={(e) => updateEntryForm({ notes: e.target.value })}
+                    rows={3}
+                    className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                  />
+                </div>
+              </div>
+
+              {entryEditor.errors.length > 0 && (
+                <div className="bg-red-900/50 border border-red-700 rounded-xl p-3 text-red-300 text-xs space-y-1">
+                  {entryEditor.errors.map(message => (
+                    <p key={message}>{message}</p>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setEntryEditor(null)}
+                  className="flex-1 bg-slate-700 hover:bg-slate-600 text-white font-medium py-3 rounded-xl transition-all duration-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={saveEntryEdit}
+                  className="flex-1 bg-cyan-600 hover:bg-cyan-500 active:scale-[0.98] text-white font-semibold py-3 rounded-xl transition-all duration-200"
+                >
+                  Save
+                </button>
+              </div>
+              <button
+                onClick={() => deleteEntry(entryEditor.entry)}
+                className="w-full text-red-400 hover:text-red-300 text-sm transition-colors"
+              >
+                Delete dose
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Session Log Modal */}
+        {sessionViewer && (
+          <div className="fixed inset-0 bg-black/90 flex items-center justify-center p-4 z-50 animate-fade-in-up">
+            <div className="bg-slate-800 rounded-2xl p-6 max-w-sm w-full space-y-5 max-h-[90vh] overflow-y-auto">
+              <div className="text-center">
+                <h2 className="text-xl font-bold text-cyan-400">Counting Session</h2>
+                <p className="text-slate-400 text-sm mt-1">
+                  {sessionViewer.entry.medication} {sessionViewer.entry.penStrength} {'\u00B7'} {sessionViewer.entry.clicks} clicks saved
+                </p>
+                <p className="text-slate-500 text-xs">{formatDate(sessionViewer.entry.sessionLog.start)}</p>
+              </div>
+
+              <SessionTimeline log={sessionViewer.entry.sessionLog} />
+
+              {sessionViewer.clipUrl && (
+                <audio controls src={sessionViewer.clipUrl} className="w-full" />
+              )}
+
+              <button
+                onClick={closeSessionViewer}
+                className="w-full bg-slate-700 hover:bg-slate-600 text-white font-medium py-3 rounded-xl transition-all duration-200"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Export Backup Modal */}
+        {exportDialog && (
+          <div className="fixed inset-0 bg-black/90 flex items-center justify-center p-4 z-50 animate-fade-in-up">
+            <div className="bg-slate-800 rounded-2xl p-6 max-w-sm w-full space-y-5 max-h-[90vh] overflow-y-auto">
+              <div className="text-center">
+                <h2 className="text-xl font-bold text-cyan-400">Back Up</h2>
+                <p className="text-slate-400 text-sm mt-1">
+                  Saves your {history.length} dose{history.length !== 1 ? 's' : ''} to a file you can import on another device
+                </p>
+              </div>
+
+              <div className="space-y-2">
+                <p className="text-slate-400 text-xs">Also include</p>
+                {Object.entries(BACKUP_PARTS).map(([part, { label }]) => (
+                  <label key={part} className="flex items-center gap-2 text-slate-300 text-sm cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={exportDialog.parts.includes(part)}
+                      onChange={() => toggleExportPart(part)}
+                      className="accent-cyan-500"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setExportDialog(null)}
+                  className="flex-1 bg-slate-700 hover:bg-slate-600 text-white font-medium py-3 rounded-xl transition-all duration-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={exportBackup}
+                  className="flex-1 bg-cyan-600 hover:bg-cyan-500 active:scale-[0.98] text-white font-semibold py-3 rounded-xl transition-all duration-200"
+                >
+                  Download
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Import Preview Modal */}
+        {importPreview && (
+          <div className="fixed inset-0 bg-black/90 flex items-center justify-center p-4 z-50 animate-fade-in-up">
+            <div className="bg-slate-800 rounded-2xl p-6 max-w-sm w-full space-y-5 max-h-[90vh] overflow-y-auto">
+              <div className="text-center">
+                <h2 className="text-xl font-bold text-cyan-400">Import</h2>
+                <p className="text-slate-400 text-sm mt-1 break-words">{importPreview.fileName}</p>
+              </div>
+
+              <div className="bg-slate-700/50 rounded-lg p-3 text-sm space-y-1">
+                <p className="text-white">
+                  <span className="font-semibold text-cyan-400">{importPreview.added.length}</span> new dose{importPreview.added.length !== 1 ? 's' : ''} to add
+                </p>
+                {importPreview.added.length > 0 && (
+                  <p className="text-slate-500 text-xs">
+                    {formatDate(importPreview.added.reduce((a, b) => (a.date < b.date ? a : b)).date)}
+                    {importPreview.added.length > 1 && ` to ${formatDate(importPreview.added.reduce((a, b) => (a.date > b.date ? a : b)).date)}`}
+                  </p>
+                )}
+                {importPreview.duplicates > 0 && (
+                  <p className="text-slate-400 text-xs">
+                    {importPreview.duplicates} already in your history, skipped
+                    {importPreview.conflicts > 0 && (
+                      <span className="text-amber-400"> ({importPreview.conflicts} differ{importPreview.conflicts === 1 ? 's' : ''}; your saved entr{importPreview.conflicts === 1 ? 'y is' : 'ies are'} kept)</span>
+                    )}
+                  </p>
+                )}
+              </div>
+
+              {importPreview.invalid.length > 0 && (
+                <div className="bg-red-900/50 border border-red-700 rounded-xl p-3 text-red-300 text-xs space-y-1">
+                  <p className="font-medium">{importPreview.invalid.length} can't be imported:</p>
+                  {importPreview.invalid.slice(0, 5).map(({ where, reason }) => (
+                    <p key={where}>{where}: {reason}</p>
+                  ))}
+                  {importPreview.invalid.length > 5 && <p>and {importPreview.invalid.length - 5} more</p>}
+                </div>
+              )}
+
+              {importPreview.parts.length > 0 && (
+                <div className="space-y-2">
+                  <p className="text-slate-400 text-xs">Replace my current data with the backup's</p>
+                  {importPreview.parts.map(part => (
+                    <label key={part} className="flex items-center gap-2 text-slate-300 text-sm cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={importPreview.replace.includes(part)}
+                        onChange={() => toggleImportPart(part)}
+                        className="accent-cyan-500"
+                      />
+                      {BACKUP_PARTS[part].label}
+                    </label>
+                  ))}
+                  {importPreview.replace.length > 0 && (
+                    <p className="text-slate-500 text-xs">The app will restart to apply them.</p>
+                  )}
+                </div>
+              )}
+
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setImportPreview(null)}
+                  className="flex-1 bg-slate-700 hover:bg-slate-600 text-white font-medium py-3 rounded-xl transition-all duration-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={confirmImport}
+                  disabled={importPreview.added.length === 0 && importPreview.replace.length === 0}
+                  className="flex-1 bg-cyan-600 hover:bg-cyan-500 disabled:opacity-50 disabled:cursor-not-allowed active:scale-[0.98] text-white font-semibold py-3 rounded-xl transition-all duration-200"
+                >
+                  Import
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Schedule Editor Modal */}
+        {scheduleEditor && (
+          <div className="fixed inset-0 bg-black/90 flex items-center justify-center p-4 z-50 animate-fade-in-up">
+            <div className="bg-slate-800 rounded-2xl p-6 max-w-sm w-full space-y-5 max-h-[90vh] overflow-y-auto">
+              <div className="text-center">
+                <h2 className="text-xl font-bold text-cyan-400">Titration Schedule</h2>
+                <p className="text-slate-400 text-sm mt-1">{currentMedication.name}, one dose a week</p>
+              </div>
+
+              <div className="space-y-1">
+                <label className="text-slate-400 text-xs block">Start date (first dose)</label>
+                <input
+                  type="date"
+                  value={scheduleEditor.startDate}
+                  onChange={(e) => setScheduleEditor(prev => ({ ...prev, startDate: e.target.value }))}
+                  className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div className="space-y-2">
+                <div className="flex text-slate-400 text-xs gap-2">
+                  <span className="flex-1">Dose (mg)</span>
+                  <span className="flex-1">Weeks (empty = hold)</span>
+                  <span className="w-6"></span>
+                </div>
+                {scheduleEditor.steps.map((step, i) => (
+                  <div key={i} className="flex gap-2 items-center">
+                    <input
+                      type="number"
+                      inputMode="decimal"
+                      value={step.dose}
+                      onChange={(e) => updateScheduleStep(i, { dose: e.target.value })}
+                      className="flex-1 min-w-0 bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                    />
+                    <input
+                      type="number"
+                      inputMode="numeric"
+                      value={step.weeks}
+                      onChange={(e) => updateScheduleStep(i, { weeks: e.target.value })}
+                      placeholder="Hold"
+                      className="flex-1 min-w-0 bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                    />
+                    <button
+                      onClick={() => setScheduleEditor(prev => ({ ...prev, steps: prev.steps.filter((_, j) => j !== i) }))}
+                      className="w-6 text-red-400 hover:text-red-300 text-sm transition-colors"
+                      aria-label="Remove step"
+                    >
+                      &times;
+                    </button>
+                  </div>
+                ))}
+                <div className="flex gap-3 text-xs">
+                  <button
+                    onClick={() => setScheduleEditor(prev => ({ ...prev, steps: [...prev.steps, { dose: '', weeks: '' }] }))}
+                    className="text-cyan-400 hover:text-cyan-300 transition-colors"
+                  >
+                    + Add step
+                  </button>
+                  <button
+                    onClick={() => setScheduleEditor(prev => ({
+                      ...prev,
+                      steps: ladderFromDoses(currentMedication.doses)
+                        .map(step => ({ dose: String(step.dose), weeks: step.weeks === null ? '' : String(step.weeks) })),
+                    }))}
+                    className="text-slate-400 hover:text-slate-300 transition-colors"
+                  >
+                    Use standard ladder
+                  </button>
+                </div>
+              </div>
+
+              <div className="space-y-1">
+                <label className="text-slate-400 text-xs block">After missing doses for</label>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    inputMode="numeric"
+                    value={scheduleEditor.restart.missedWeeks}
+                    onChange={(e) => setScheduleEditor(prev => ({ ...prev, restart: { ...prev.restart, missedWeeks: e.target.value } }))}
+                    className="w-16 bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                  />
+                  <span className="text-slate-400 text-sm self-center">weeks in a row</span>
+                </div>
+                <select
+                  value={scheduleEditor.restart.action}
+                  onChange={(e) => setScheduleEditor(prev => ({ ...prev, restart: { ...prev.restart, action: e.target.value } }))}
+                  className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  {Object.entries(RESTART_ACTIONS).map(([action, label]) => (
+                    <option key={action} value={action}>{label}</option>
+                  ))}
+                </select>
+                <p className="text-slate-500 text-xs">Follow your prescriber's advice for restarting after missed doses.</p>
+              </div>
+
+              {scheduleEditor.errors.length > 0 && (
+                <div className="bg-red-900/50 border border-red-700 rounded-xl p-3 text-red-300 text-xs space-y-1">
+                  {scheduleEditor.errors.map(message => (
+                    <p key={message}>{message}</p>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setScheduleEditor(null)}
+                  className="flex-1 bg-slate-700 hover:bg-slate-600 text-white font-medium py-3 rounded-xl transition-all duration-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={saveSchedule}
+                  className="flex-1 bg-cyan-600 hover:bg-cyan-500 active:scale-[0.98] text-white font-semibold py-3 rounded-xl transition-all duration-200"
+                >
+                  Save
+                </button>
+              </div>
+              {schedule && schedule.medication === medication && (
+                <button
+                  onClick={removeSchedule}
+                  className="w-full text-red-400 hover:text-red-300 text-sm transition-colors"
+                >
+                  Remove schedule
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Catalog Editor Modal */}
+        {catalogEditor && (
+          <div className="fixed inset-0 bg-black/90 flex items-center justify-center p-4 z-50 animate-fade-in-up">
+            <div className="bg-slate-800 rounded-2xl p-6 max-w-sm w-full space-y-5 max-h-[90vh] overflow-y-auto">
+              <div className="text-center">
+                <h2 className="text-xl font-bold text-cyan-400">Medications &amp; Pens</h2>
+                <p className="text-slate-400 text-sm mt-1">Add the medications and pens you use</p>
+              </div>
+
+              {/* Custom medications and pens */}
+              {(customCatalog.medications.length > 0 || customCatalog.pens.length > 0) && (
+                <div className="space-y-2">
+                  {customCatalog.medications.map(entry => (
+                    <div key={entry.key} className="bg-slate-700/50 rounded-lg p-3 text-sm">
+                      <div className="flex justify-between items-center">
+                        <span className="text-white font-medium">{entry.name}</span>
+                        <button
+                          onClick={() => deleteCustomMedication(entry)}
+                          className="text-red-400 hover:text-red-300 text-xs transition-colors"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                      <p className="text-slate-500 text-xs">Doses: {entry.doses.join(', ')} mg</p>
+                      {!customCatalog.pens.some(pen => pen.medication === entry.key) && (
+                        <p className="text-amber-400 text-xs mt-1">Add a pen to start using it</p>
+                      )}
+                    </div>
+                  ))}
+                  {customCatalog.pens.map(pen => (
+                    <div key={pen.id} className="bg-slate-700/50 rounded-lg p-3 text-sm flex justify-between items-center gap-2">
+                      <div className="min-w-0">
+                        <p className="text-white truncate">
+                          {(penCatalog[pen.medication] || customCatalog.medications.find(entry => entry.key === pen.medication))?.name} {pen.label}
+                        </p>
+                        <p className="text-slate-500 text-xs">
+                          {pen.totalClicks} clicks, {getMgPerClick(pen).toFixed(4)} mg/click
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => deleteCustomPen(pen)}
+                        className="text-red-400 hover:text-red-300 text-xs transition-colors shrink-0"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {/* New medication */}
+              <div className="space-y-2">
+                <p className="text-slate-300 text-sm font-medium">New medication</p>
+                <input
+                  type="text"
+                  value={catalogEditor.medicationForm.name}
+                  onChange={(e) => updateCatalogForm('medicationForm', { name: e.target.value })}
+                  placeholder="Name, e.g. Saxenda"
+                  className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+                <input
+                  type="text"
+                  value={catalogEditor.medicationForm.doses}
+                  onChange={(e) => updateCatalogForm('medicationForm', { doses: e.target.value })}
+                  placeholder="Doses in mg, e.g. 0.6, 1.2, 1.8"
+                  className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+                <button
+                  onClick={addCustomMedication}
+                  className="w-full bg-slate-600 hover:bg-slate-500 text-white text-sm py-2 rounded-lg transition-colors"
+                >
+                  Add Medication
+                </button>
+              </div>
+
+              {/* New pen */}
+              <div className="space-y-2">
+                <p className="text-slate-300 text-sm font-medium">New pen</p>
+                <select
+                  value={catalogEditor.penForm.medication}
+                  onChange={(e) => updateCatalogForm('penForm', { medication: e.target.value })}
+                  className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  {Object.entries(BUILT_IN_MEDICATIONS).map(([key, data]) => (
+                    <option key={key} value={key}>{data.name}</option>
+                  ))}
+                  {customCatalog.medications.map(entry => (
+                    <option key={entry.key} value={entry.key}>{entry.name}</option>
+                  ))}
+                </select>
+                <div className="grid grid-cols-3 gap-2">
+                  <input
+                    type="number"
+                    inputMode="decimal"
+                    value={catalogEditor.penForm.concentration}
+                    onChange={(e) => updateCatalogForm('penForm', { concentration: e.target.value })}
+                    placeholder="mg/mL"
+                    className="min-w-0 bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                  />
+                  <input
+                    type="number"
+                    inputMode="decimal"
+                    value={catalogEditor.penForm.volume}
+                    onChange={(e) => updateCatalogForm('penForm', { volume: e.target.value })}
+                    placeholder="mL"
+                    className="min-w-0 bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                  />
+                  <input
+                    type="number"
+                    inputMode="numeric"
+                    value={catalogEditor.penForm.totalClicks}
+                    onChange={(e) => updateCatalogForm('penForm', { totalClicks: e.target.value })}
+                    placeholder="Clicks"
+                    className="min-w-0 bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                  />
+                </div>
+                <input
+                  type="text"
+                  value={catalogEditor.penForm.label}
+                  onChange={(e) => updateCatalogForm('penForm', { label: e.target.value })}
+                  placeholder="Label (optional)"
+                  className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+                <button
+                  onClick={addCustomPen}
+                  className="w-full bg-slate-600 hover:bg-slate-500 text-white text-sm py-2 rounded-lg transition-colors"
+                >
+                  Add Pen
+                </button>
+              </div>
+
+              {catalogEditor.errors.length > 0 && (
+                <div className="bg-red-900/50 border border-red-700 rounded-xl p-3 text-red-300 text-xs space-y-1">
+                  {catalogEditor.errors.map(message => (
+                    <p key={message}>{message}</p>
+                  ))}
+                </div>
+              )}
+
+              <button
+                onClick={() => setCatalogEditor(null)}
+                className="w-full bg-cyan-600 hover:bg-cyan-500 active:scale-[0.98] text-white font-semibold py-3 rounded-xl transition-all duration-200"
+              >
+                Done
               </button>
-            ))}
-          </div>
-          <div className="flex items-center gap-2">
-            <span className="text-slate-400 text-sm">Custom:</span>
-            <input
-              type="number"
-              step="0.05"
-              min="0.05"
-              value={customDose}
-              onChange={handleCustomDose}
-              disabled={isListening}
-              placeholder="Enter dose"
-              className={`flex-1 bg-slate-700 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-cyan-500 ${
-                isListening ? 'opacity-50 cursor-not-allowed' : ''
-              }`}
-            />
+            </div>
           </div>
-          <p className="text-slate-500 text-xs mt-2">
-            Target: {targetClicks} clicks for {targetDose.toFixed(2)} mg
-          </p>
-        </div>
+        )}
 
-        {/* Calibration Modal */}
-        {isCalibrating && (
+        {/* Signature Test Modal */}
+        {signatureTest && (
           <div className="fixed inset-0 bg-black/90 flex items-center justify-center p-4 z-50 animate-fade-in-up">
-            <div className="bg-slate-800 rounded-2xl p-6 max-w-sm w-full space-y-5">
+            <div className="bg-slate-800 rounded-2xl p-6 max-w-sm w-full space-y-5 max-h-[90vh] overflow-y-auto">
               <div className="text-center">
-                <h2 className="text-xl font-bold text-cyan-400">Calibrate Your Pen</h2>
+                <h2 className="text-xl font-bold text-cyan-400">Test Signature</h2>
+                {activeSignatureEntry && (
+                  <p className="text-slate-300 text-sm mt-1">{activeSignatureEntry.name}</p>
+                )}
                 <p className="text-slate-400 text-sm mt-1">
-                  Hold pen close to microphone and click 5 times
+                  {signatureTest.phase === 'quiet' && 'Stay quiet for a few seconds while we listen to the room'}
+                  {signatureTest.phase === 'clicks' && `Now click your pen ${TEST_CLICKS} times, then tap Done`}
+                  {signatureTest.phase === 'done' && 'Results at the current sensitivity'}
                 </p>
               </div>
 
-              {/* Listening indicator */}
-              <div className="flex justify-center">
-                <div className="relative">
-                  <div className="w-20 h-20 rounded-full bg-slate-700 flex items-center justify-center">
-                    <svg className="w-10 h-10 text-cyan-400" fill="currentColor" viewBox="0 0 20 20">
-                      <path fillRule="evenodd" d="M7 4a3 3 0 016 0v4a3 3 0 11-6 0V4zm4 10.93A7.001 7.001 0 0017 8a1 1 0 10-2 0A5 5 0 015 8a1 1 0 00-2 0 7.001 7.001 0 006 6.93V17H6a1 1 0 100 2h8a1 1 0 100-2h-3v-2.07z" clipRule="evenodd" />
-                    </svg>
+              {signatureTest.phase !== 'done' && (
+                <>
+                  {/* Listening indicator */}
+                  <div className="flex justify-center">
+                    <div className="relative">
+                      <div className="w-20 h-20 rounded-full bg-slate-700 flex items-center justify-center">
+                        <svg className="w-10 h-10 text-cyan-400" fill="currentColor" viewBox="0 0 20 20">
+                          <path fillRule="evenodd" d="M7 4a3 3 0 016 0v4a3 3 0 11-6 0V4zm4 10.93A7.001 7.001 0 0017 8a1 1 0 10-2 0A5 5 0 015 8a1 1 0 00-2 0 7.001 7.001 0 006 6.93V17H6a1 1 0 100 2h8a1 1 0 100-2h-3v-2.07z" clipRule="evenodd" />
+                        </svg>
+                      </div>
+                      <div className="absolute inset-0 rounded-full animate-pulse-ring bg-cyan-500/30"></div>
+                    </div>
                   </div>
-                  <div className="absolute inset-0 rounded-full animate-pulse-ring bg-cyan-500/30"></div>
-                </div>
-              </div>
 
-              {/* Click indicators */}
-              <div className="flex justify-center gap-3">
-                {[0, 1, 2, 3, 4].map(i => (
-                  <div
-                    key={i}
-                    className={`w-10 h-10 rounded-full flex items-center justify-center text-sm font-bold transition-all duration-300 ${
-                      i < calibrationClicks.length
-                        ? 'bg-emerald-500 text-white scale-110 animate-bounce-in'
-                        : 'bg-slate-700 text-slate-500'
-                    }`}
-                  >
-                    {i < calibrationClicks.length ? '\u2713' : i + 1}
+                  {signatureTest.phase === 'quiet' ? (
+                    <p className="text-slate-300 text-center text-sm">
+                      {signatureTest.quiet.filter(candidate => wouldDetect(candidate, sensitivity)).length} false triggers so far
+                    </p>
+                  ) : (
+                    <p className="text-slate-300 text-center text-2xl font-bold">
+                      {signatureTest.clicks.filter(candidate => wouldDetect(candidate, sensitivity)).length}
+                      <span className="text-slate-500 text-lg font-normal"> / {TEST_CLICKS} detected</span>
+                    </p>
+                  )}
+
+                  <div className="flex gap-3">
+                    <button
+                      onClick={closeSignatureTest}
+                      className="flex-1 bg-slate-700 hover:bg-slate-600 active:scale-[0.98] text-white py-4 rounded-xl transition-all duration-200"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={finishSignatureTest}
+                      disabled={signatureTest.phase !== 'clicks'}
+                      className={`flex-1 py-4 rounded-xl font-medium transition-all duration-200 ${
+                        signatureTest.phase === 'clicks'
+                          ? 'bg-emerald-600 hover:bg-emerald-500 active:scale-[0.98] text-white shadow-lg shadow-emerald-600/30'
+                          : 'bg-slate-700 text-slate-500 cursor-not-allowed'
+                      }`}
+                    >
+                      Done
+                    </button>
                   </div>
-                ))}
-              </div>
+                </>
+              )}
 
-              <p className="text-slate-300 text-center text-2xl font-bold">
-                {calibrationClicks.length} <span className="text-slate-500 text-lg font-normal">/ 5</span>
-              </p>
+              {signatureTest.phase === 'done' && (
+                <>
+                  <div className="grid grid-cols-2 gap-3 text-center">
+                    <div className="bg-slate-700/50 rounded-xl p-3">
+                      <div className={`text-2xl font-bold ${
+                        signatureTest.result.detected === signatureTest.result.expected ? 'text-emerald-400' : 'text-amber-400'
+                      }`}>
+                        {signatureTest.result.detected} / {signatureTest.result.expected}
+                      </div>
+                      <div className="text-slate-400 text-xs">clicks detected</div>
+                    </div>
+                    <div className="bg-slate-700/50 rounded-xl p-3">
+                      <div className={`text-2xl font-bold ${
+                        signatureTest.result.falseTriggers === 0 ? 'text-emerald-400' : 'text-red-400'
+                      }`}>
+                        {signatureTest.result.falseTriggers}
+                      </div>
+                      <div className="text-slate-400 text-xs">false triggers in {QUIET_PERIOD_MS / 1000}s of quiet</div>
+                    </div>
+                  </div>
 
-              <div className="flex gap-3">
-                <button
-                  onClick={cancelCalibration}
-                  className="flex-1 bg-slate-700 hover:bg-slate-600 active:scale-[0.98] text-white py-4 rounded-xl transition-all duration-200"
-                >
-                  Cancel
-                </button>
-                <button
-                  onClick={finishCalibration}
-                  disabled={calibrationClicks.length < 3}
-                  className={`flex-1 py-4 rounded-xl font-medium transition-all duration-200 ${
-                    calibrationClicks.length >= 3
-                      ? 'bg-emerald-600 hover:bg-emerald-500 active:scale-[0.98] text-white shadow-lg shadow-emerald-600/30'
-                      : 'bg-slate-700 text-slate-500 cursor-not-allowed'
-                  }`}
-                >
-                  {calibrationClicks.length >= 3 ? 'Save Signature' : `Need ${3 - calibrationClicks.length} more`}
-                </button>
-              </div>
+                  {/* Similarity of each sound heard while clicking */}
+                  {signatureTest.result.similarities.length > 0 && (
+                    <div className="bg-slate-700/50 rounded-xl p-4 space-y-2">
+                      <span className="text-slate-400 text-sm">Similarity to signature</span>
+                      <div className="flex items-end gap-1 h-16">
+                        {signatureTest.result.similarities.map((similarity, i) => (
+                          <div key={i} className="flex-1 h-full flex items-end" title={`${Math.round(similarity * 100)}%`}>
+                            <div
+                              className={`w-full rounded-t ${similarity > MATCH_THRESHOLD ? 'bg-emerald-500' : 'bg-slate-500'}`}
+                              style={{ height: `${Math.max(similarity * 100, 4)}%` }}
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {signatureTest.result.suggestedSensitivity === null ? (
+                    <p className="text-amber-300 text-sm">
+                      None of the clicks matched the signature. Try recalibrating closer to the microphone.
+                    </p>
+                  ) : (
+                    <div className="bg-slate-700/50 rounded-xl p-4 space-y-2">
+                      <p className="text-slate-300 text-sm">
+                        Suggested sensitivity: <span className="font-semibold text-white">{signatureTest.result.suggestedSensitivity.toFixed(2)}</span>
+                      </p>
+                      <p className="text-slate-500 text-xs">
+                        Would detect {signatureTest.result.suggestedDetected} / {signatureTest.result.expected} clicks
+                        with {signatureTest.result.suggestedFalseTriggers} false triggers
+                      </p>
+                    </div>
+                  )}
+
+                  <div className="flex gap-3">
+                    <button
+                      onClick={closeSignatureTest}
+                      className="flex-1 bg-slate-700 hover:bg-slate-600 active:scale-[0.98] text-white py-4 rounded-xl transition-all duration-200"
+                    >
+                      Close
+                    </button>
+                    {signatureTest.result.suggestedSensitivity !== null &&
+                      signatureTest.result.suggestedSensitivity !== sensitivity && (
+                      <button
+                        onClick={applySuggestedSensitivity}
+                        className="flex-1 bg-emerald-600 hover:bg-emerald-500 active:scale-[0.98] text-white font-medium py-4 rounded-xl transition-all duration-200 shadow-lg shadow-emerald-600/30"
+                      >
+                        Apply {signatureTest.result.suggestedSensitivity.toFixed(2)}
+                      </button>
+                    )}
+                  </div>
+                </>
+              )}
             </div>
           </div>
         )}
@@ -871,56 +2947,326 @@ function App() {
             {DETECTION_MODES[detectionMode].description}
           </p>
 
-          {/* Calibration controls for Advanced mode */}
+          {/* Signature library controls for Advanced mode */}
           {detectionMode === 'advanced' && !isListening && (
-            <div className="mt-3 pt-3 border-t border-slate-700">
+            <div className="mt-3 pt-3 border-t border-slate-700 space-y-3">
+              <div className="flex items-center gap-2">
+                <span className="text-slate-400 text-sm">This device:</span>
+                <input
+                  type="text"
+                  value={deviceLabel}
+                  onChange={(e) => setDeviceLabel(e.target.value)}
+                  placeholder="Optional, e.g. Phone"
+                  className="flex-1 bg-slate-700 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
               {clickSignature ? (
                 <div className="space-y-2">
                   <div className="flex items-center justify-between">
                     <span className="text-emerald-400 text-sm flex items-center gap-1">
-                      <span>\u2713</span> Signature saved ({clickSignature.sampleCount} samples)
+                      <span>{'\u2713'}</span> Using {activeSignatureEntry.name} ({clickSignature.sampleCount} samples)
                     </span>
                   </div>
+                  {clickSignature.upgradedFrom && (
+                    <p className="text-amber-400 text-xs">
+                      Upgraded from an older signature - recalibrate for best accuracy
+                    </p>
+                  )}
                   <div className="flex gap-2">
                     <button
-                      onClick={startCalibration}
+                      onClick={startSignatureTest}
+                      className="flex-1 bg-cyan-700 hover:bg-cyan-600 text-white text-sm py-2 rounded-lg"
+                    >
+                      Test Signature
+                    </button>
+                    <button
+                      onClick={() => startCalibration(activeSignatureEntry)}
                       className="flex-1 bg-slate-700 hover:bg-slate-600 text-slate-300 text-sm py-2 rounded-lg"
                     >
                       Recalibrate
                     </button>
+                  </div>
+                  {activeSignatureEntry.device !== deviceLabel.trim() && (
                     <button
-                      onClick={clearSignature}
-                      className="bg-red-900/50 hover:bg-red-900 text-red-300 text-sm py-2 px-3 rounded-lg"
+                      onClick={() => startCalibration()}
+                      className="w-full bg-slate-700 hover:bg-slate-600 text-slate-300 text-sm py-2 rounded-lg"
                     >
-                      Clear
+                      Calibrate for {deviceLabel.trim() || 'any device'}
                     </button>
-                  </div>
+                  )}
                 </div>
               ) : (
                 <div className="space-y-2">
-                  <p className="text-amber-400 text-sm">No signature yet - calibrate for best accuracy</p>
+                  <p className="text-amber-400 text-sm">
+                    No signature for {currentMedication.name} {currentPen.label} yet - calibrate for best accuracy
+                  </p>
                   <button
-                    onClick={startCalibration}
+                    onClick={() => startCalibration()}
                     className="w-full bg-amber-600 hover:bg-amber-500 text-white font-medium py-2 rounded-lg"
                   >
                     Calibrate Pen Click
                   </button>
                 </div>
               )}
+
+              {/* Saved signatures */}
+              {signatureLibrary.length > 0 && (
+                <div className="space-y-2">
+                  <span className="text-slate-400 text-xs block">Saved signatures</span>
+                  {signatureLibrary.map(entry => (
+                    <div
+                      key={entry.id}
+                      className={`rounded-lg p-3 space-y-2 ${
+                        entry.id === activeSignatureEntry?.id ? 'bg-slate-700 ring-1 ring-emerald-500' : 'bg-slate-700/50'
+                      }`}
+                    >
+                      <div>
+                        <div className="text-white text-sm font-medium">{entry.name}</div>
+                        <div className="text-slate-500 text-xs">
+                          {penCatalog[entry.medication]?.name || entry.medication} {entry.penLabel}
+                          {entry.device && ` \u00b7 ${entry.device}`}
+                          {` \u00b7 ${entry.signature.sampleCount} samples`}
+                          {entry.signature.quality !== undefined &&
+                            ` \u00b7 ${getQualityRating(entry.signature.quality).label} quality`}
+                        </div>
+                      </div>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => renameSignature(entry)}
+                          className="flex-1 bg-slate-600 hover:bg-slate-500 text-slate-300 text-xs py-1.5 rounded-lg"
+                        >
+                          Rename
+                        </button>
+                        <button
+                          onClick={() => startCalibration(entry)}
+                          className="flex-1 bg-slate-600 hover:bg-slate-500 text-slate-300 text-xs py-1.5 rounded-lg"
+                        >
+                          Recalibrate
+                        </button>
+                        <button
+                          onClick={() => deleteSignature(entry)}
+                          className="bg-red-900/50 hover:bg-red-900 text-red-300 text-xs py-1.5 px-3 rounded-lg"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Replay a recording through the current detector */}
+          {!isListening && (
+            <div className="mt-3 pt-3 border-t border-slate-700 space-y-2">
+              <label className={`block w-full text-center bg-slate-700 hover:bg-slate-600 text-slate-300 text-sm py-2 rounded-lg cursor-pointer ${
+                isReplaying ? 'opacity-50 cursor-wait' : ''
+              }`}>
+                {isReplaying ? 'Replaying...' : 'Test with Recording'}
+                <input
+                  type="file"
+                  accept="audio/*,.wav,.webm"
+                  onChange={replayFile}
+                  disabled={isReplaying}
+                  className="hidden"
+                />
+              </label>
+              {replayResult && (
+                <div className="text-slate-400 text-xs">
+                  <span className="text-white font-medium">{replayResult.times.length} clicks</span> detected in {replayResult.fileName}
+                  {replayResult.times.length > 0 && (
+                    <div className="text-slate-500 mt-1 break-words">
+                      {replayResult.times.map(time => `${(time / 1000).toFixed(2)}s`).join(', ')}
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
           )}
         </div>
 
+        {/* Overdose Guard */}
+        <div className="bg-slate-800 rounded-xl p-4 space-y-3">
+          <h3 className="text-slate-300 text-sm font-medium">Overdose Guard</h3>
+          <label className="flex items-center justify-between gap-2 text-slate-400 text-xs">
+            Warn this many clicks before the target
+            <select
+              value={guard.warnClicks}
+              onChange={(e) => setGuard(prev => ({ ...prev, warnClicks: Number(e.target.value) }))}
+              className="bg-slate-700 text-white rounded-lg px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-cyan-500"
+            >
+              {WARN_CLICK_OPTIONS.map(clicks => (
+                <option key={clicks} value={clicks}>{clicks === 0 ? 'Off' : clicks}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 text-slate-400 text-xs cursor-pointer">
+            <input
+              type="checkbox"
+              checked={guard.alarm}
+              onChange={(e) => setGuard(prev => ({ ...prev, alarm: e.target.checked }))}
+              className="accent-cyan-500"
+            />
+            Sound, vibrate and flash red for clicks past the target
+          </label>
+          <label className="flex items-center gap-2 text-slate-400 text-xs cursor-pointer">
+            <input
+              type="checkbox"
+              checked={guard.autoStop}
+              onChange={(e) => setGuard(prev => ({ ...prev, autoStop: e.target.checked }))}
+              className="accent-cyan-500"
+            />
+            Stop listening when the target is reached
+          </label>
+          <p className="text-slate-500 text-xs">
+            Clicks added with the + button count towards these too.
+          </p>
+        </div>
+
+        {/* Click Feedback */}
+        <div className="bg-slate-800 rounded-xl p-4 space-y-3">
+          <h3 className="text-slate-300 text-sm font-medium">Click Feedback</h3>
+          <label className="flex items-center justify-between gap-2 text-slate-400 text-xs">
+            Announce counts
+            <select
+              value={feedback.mode}
+              onChange={(e) => setFeedback(prev => ({ ...prev, mode: e.target.value }))}
+              className="bg-slate-700 text-white rounded-lg px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-cyan-500"
+            >
+              {Object.entries(FEEDBACK_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {feedback.mode !== 'off' && (
+            <>
+              <label className="flex items-center justify-between gap-2 text-slate-400 text-xs">
+                Announce the count every
+                <select
+                  value={feedback.every}
+                  onChange={(e) => setFeedback(prev => ({ ...prev, every: Number(e.target.value) }))}
+                  className="bg-slate-700 text-white rounded-lg px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  {EVERY_OPTIONS.map(clicks => (
+                    <option key={clicks} value={clicks}>{clicks === 0 ? 'Never' : `${clicks} ${clicks === 1 ? 'click' : 'clicks'}`}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center justify-between gap-2 text-slate-400 text-xs">
+                Count down the last clicks to the target
+                <select
+                  value={feedback.countdown}
+                  onChange={(e) => setFeedback(prev => ({ ...prev, countdown: Number(e.target.value) }))}
+                  className="bg-slate-700 text-white rounded-lg px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  {COUNTDOWN_OPTIONS.map(clicks => (
+                    <option key={clicks} value={clicks}>{clicks === 0 ? 'Off' : clicks}</option>
+                  ))}
+                </select>
+              </label>
+            </>
+          )}
+          <label className="flex items-center gap-2 text-slate-400 text-xs cursor-pointer">
+            <input
+              type="checkbox"
+              checked={feedback.vibrate}
+              onChange={(e) => setFeedback(prev => ({ ...prev, vibrate: e.target.checked }))}
+              className="accent-cyan-500"
+            />
+            Vibrate on every click
+          </label>
+          <p className="text-slate-500 text-xs">
+            Clicks heard while the app is speaking, beeping or vibrating are ignored so its own feedback isn't counted, but a real click in that moment is missed too. The app tells you when it ignored any, so you can check the count.
+          </p>
+        </div>
+
+        {/* Click Cadence */}
+        <div className="bg-slate-800 rounded-xl p-4 space-y-3">
+          <label className="flex items-center justify-between gap-2 text-slate-300 text-sm font-medium">
+            Rhythm Check
+            <select
+              value={cadenceMode}
+              onChange={(e) => setCadenceMode(e.target.value)}
+              className="bg-slate-700 text-white rounded-lg px-2 py-1 text-xs font-normal outline-none focus:ring-2 focus:ring-cyan-500"
+            >
+              {Object.entries(CADENCE_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <p className="text-slate-500 text-xs">
+            Learns how fast you dial and flags detections that break the rhythm: two clicks far too close together, or a gap long enough to hide a missed click. Applies from the next time you start listening.
+          </p>
+        </div>
+
+        {/* Session Recording */}
+        <div className="bg-slate-800 rounded-xl p-4 space-y-3">
+          <h3 className="text-slate-300 text-sm font-medium">Session Recording</h3>
+          <p className="text-slate-500 text-xs">
+            Each saved dose keeps a log of its counting session (detected clicks, adjustments and resets) to review from the history.
+          </p>
+          <label className="flex items-center gap-2 text-slate-400 text-xs cursor-pointer">
+            <input
+              type="checkbox"
+              checked={recordAudio}
+              disabled={!canRecordAudio()}
+              onChange={(e) => setRecordAudio(e.target.checked)}
+              className="accent-cyan-500"
+            />
+            Also save an audio clip of the first minute, kept on this device only
+          </label>
+        </div>
+
+        {/* Microphone */}
+        <div className="bg-slate-800 rounded-xl p-4 space-y-3">
+          <h3 className="text-slate-300 text-sm font-medium">Microphone</h3>
+          <label className="flex items-center justify-between gap-2 text-slate-400 text-xs">
+            Input
+            <select
+              value={micDeviceId}
+              onChange={(e) => setMicDeviceId(e.target.value)}
+              className="bg-slate-700 text-white rounded-lg px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-cyan-500 max-w-[60%]"
+            >
+              <option value="">Default microphone</option>
+              {inputDevices.map(device => (
+                <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+              ))}
+              {micDeviceId && !inputDevices.some(device => device.deviceId === micDeviceId) && (
+                <option value={micDeviceId}>Unavailable microphone</option>
+              )}
+            </select>
+          </label>
+          {micPermission !== 'granted' && (
+            <p className="text-slate-500 text-xs">Allow microphone access to choose between inputs.</p>
+          )}
+          {Object.entries(PROCESSING_OPTIONS).map(([option, label]) => (
+            <label key={option} className="flex items-center gap-2 text-slate-400 text-xs cursor-pointer">
+              <input
+                type="checkbox"
+                checked={processingFor(micProcessing, micDeviceId)[option]}
+                onChange={() => toggleMicProcessing(option)}
+                className="accent-cyan-500"
+              />
+              {label}
+            </label>
+          ))}
+          <p className="text-slate-500 text-xs">
+            These are meant for calls and can soften pen clicks; turning them off often makes clicks easier to detect. Remembered for each input, and used from the next time you start listening or calibrating.
+          </p>
+        </div>
+
         {/* Sensitivity Slider */}
         <div className="bg-slate-800 rounded-xl p-4">
           <label className="text-slate-400 text-sm block mb-2">
-            Detection Sensitivity: {sensitivity.toFixed(2)}
+            Detection Sensitivity: {sensitivity.toFixed(2)} above background noise
           </label>
           <input
             type="range"
-            min="0.05"
-            max="0.4"
-            step="0.01"
+            min={SENSITIVITY_RANGE.min}
+            max={SENSITIVITY_RANGE.max}
+            step={SENSITIVITY_RANGE.step}
             value={sensitivity}
             onChange={(e) => setSensitivity(parseFloat(e.target.value))}
             className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-cyan-500"
@@ -929,11 +3275,25 @@ function App() {
             <span>More sensitive</span>
             <span>Less sensitive</span>
           </div>
+          <label className="flex items-center gap-2 text-slate-400 text-xs mt-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={showDebug}
+              onChange={(e) => setShowDebug(e.target.checked)}
+              className="accent-cyan-500"
+            />
+            Show detection debug view while listening
+          </label>
         </div>
 
+        {/* Over-target alarm */}
+        {guardStage === 'over' && guard.alarm && (
+          <div className="fixed inset-0 pointer-events-none z-40 animate-danger-flash" />
+        )}
+
         {/* Main Counter Display */}
         <div className={`rounded-2xl p-6 text-center transition-all duration-300 relative overflow-hidden ${
-          targetReached ? 'bg-emerald-900 animate-success-glow' : 'bg-slate-800'
+          guardStage === 'over' ? 'bg-red-900' : targetReached ? 'bg-emerald-900 animate-success-glow' : 'bg-slate-800'
         } ${isListening ? 'animate-listening-pulse' : ''}`}>
           {/* Listening indicator */}
           {isListening && (
@@ -946,11 +3306,20 @@ function App() {
             </div>
           )}
 
-          {targetReached && (
+          {guardStage === 'over' ? (
+            <div key={overClicks} className="text-red-300 text-lg font-bold mb-2 animate-shake">
+              <span className="mr-2">&#x26A0;</span>
+              Over target by {overClicks} click{overClicks > 1 ? 's' : ''} ({clicksTo(overClicks, 'mg', currentPen).toFixed(2)} mg)
+            </div>
+          ) : targetReached ? (
             <div className="text-emerald-400 text-lg font-medium mb-2 animate-bounce-in">
               <span className="mr-2">&#x2713;</span>
               Target dose reached!
             </div>
+          ) : guardStage === 'approaching' && (
+            <div className="text-amber-400 text-lg font-medium mb-2">
+              {targetClicks - clickCount} click{targetClicks - clickCount > 1 ? 's' : ''} to go
+            </div>
           )}
 
           <div className={`text-7xl font-bold text-white mb-2 tabular-nums transition-transform ${
@@ -959,15 +3328,31 @@ function App() {
             {clickCount}
           </div>
 
-          <div className="text-slate-400 text-xl mb-4 font-medium">
-            {currentDose.toFixed(2)} mg
+          <div className="text-slate-400 text-xl mb-2 font-medium">
+            {formatDose(clicksTo(clickCount, displayUnit, currentPen), displayUnit)}
+          </div>
+
+          {/* Dose unit picker */}
+          <div className="flex justify-center gap-1 mb-4">
+            {availableUnits(currentPen).map(unit => (
+              <button
+                key={unit}
+                onClick={() => setDoseUnit(unit)}
+                title={DOSE_UNITS[unit].name}
+                className={`px-2 py-1 rounded-md text-xs transition-colors ${
+                  displayUnit === unit ? 'bg-slate-600 text-white' : 'text-slate-500 hover:text-slate-300'
+                }`}
+              >
+                {DOSE_UNITS[unit].label}
+              </button>
+            ))}
           </div>
 
           {/* Progress bar */}
           <div className="w-full bg-slate-700 rounded-full h-4 mb-3 overflow-hidden">
             <div
               className={`h-4 rounded-full transition-all duration-300 ease-out ${
-                targetReached ? 'bg-emerald-500' : 'bg-gradient-to-r from-cyan-500 to-cyan-400'
+                guardStage === 'over' ? 'bg-red-500' : targetReached ? 'bg-emerald-500' : 'bg-gradient-to-r from-cyan-500 to-cyan-400'
               }`}
               style={{ width: `${progress}%` }}
             />
@@ -976,9 +3361,51 @@ function App() {
           <div className="text-slate-400 text-sm">
             <span className="font-semibold text-white">{clickCount}</span> / {targetClicks} clicks to target
           </div>
+
+          {activePenStatus && (
+            <div className="mt-3 pt-3 border-t border-slate-700 text-xs">
+              <p className="text-slate-400">
+                Pen: {activePenStatus.remainingClicks} clicks ({activePenStatus.remainingMg.toFixed(2)} mg) left
+                {' · '}{activePenStatus.dosesLeft} more {activePenStatus.dosesLeft === 1 ? 'dose' : 'doses'} of {targetDose.toFixed(2)} mg
+              </p>
+              {!activePenStatus.canDeliver && (
+                <p className="text-amber-400 mt-1">
+                  Not enough left in this pen for a full {targetDose.toFixed(2)} mg dose
+                </p>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Error Message */}
+        {/* Saved data that couldn't be read */}
+        {storageProblems.length > 0 && (
+          <div className="bg-red-900/50 border border-red-700 rounded-xl p-4 space-y-3">
+            <div className="text-red-300 text-sm">
+              Some saved data couldn't be read and was set aside. Download it to keep a copy, or discard it.
+            </div>
+            {storageProblems.map(problem => (
+              <div key={`${problem.store}-${problem.key}`} className="flex items-center justify-between gap-3 text-xs">
+                <span className="text-red-200 truncate">{problem.source}: {problem.reason}</span>
+                <div className="flex gap-3 shrink-0">
+                  <button
+                    onClick={() => downloadProblem(problem)}
+                    className="text-cyan-400 hover:text-cyan-300 font-medium transition-colors"
+                  >
+                    Download
+                  </button>
+                  <button
+                    onClick={() => discardStorageProblem(problem)}
+                    className="text-red-400 hover:text-red-300 font-medium transition-colors"
+                  >
+                    Discard
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
         {error && (
           <div className="bg-red-900/50 border border-red-700 rounded-xl p-4 text-red-300 text-sm">
             {error}
@@ -1010,15 +3437,26 @@ function App() {
         {/* Control Buttons */}
         <div className="flex gap-3">
           {!isListening ? (
-            <button
-              onClick={startListening}
-              className="flex-1 bg-cyan-600 hover:bg-cyan-500 active:scale-[0.98] text-white font-semibold py-5 rounded-2xl transition-all duration-200 flex items-center justify-center gap-2 shadow-lg shadow-cyan-600/30"
-            >
-              <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20">
-                <path fillRule="evenodd" d="M7 4a3 3 0 016 0v4a3 3 0 11-6 0V4zm4 10.93A7.001 7.001 0 0017 8a1 1 0 10-2 0A5 5 0 015 8a1 1 0 00-2 0 7.001 7.001 0 006 6.93V17H6a1 1 0 100 2h8a1 1 0 100-2h-3v-2.07z" clipRule="evenodd" />
-              </svg>
-              Start Listening
-            </button>
+            <>
+              <button
+                onClick={startListening}
+                className="flex-1 bg-cyan-600 hover:bg-cyan-500 active:scale-[0.98] text-white font-semibold py-5 rounded-2xl transition-all duration-200 flex items-center justify-center gap-2 shadow-lg shadow-cyan-600/30"
+              >
+                <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20">
+                  <path fillRule="evenodd" d="M7 4a3 3 0 016 0v4a3 3 0 11-6 0V4zm4 10.93A7.001 7.001 0 0017 8a1 1 0 10-2 0A5 5 0 015 8a1 1 0 00-2 0 7.001 7.001 0 006 6.93V17H6a1 1 0 100 2h8a1 1 0 100-2h-3v-2.07z" clipRule="evenodd" />
+                </svg>
+                Start Listening
+              </button>
+              {/* A count left after stopping, e.g. by the overdose guard, can still be saved */}
+              {clickCount > 0 && (
+                <button
+                  onClick={openSitePicker}
+                  className="flex-1 bg-emerald-600 hover:bg-emerald-500 active:scale-[0.98] text-white font-semibold py-5 rounded-2xl transition-all duration-200 shadow-lg shadow-emerald-600/30"
+                >
+                  Save Dose
+                </button>
+              )}
+            </>
           ) : (
             <>
               <button
@@ -1028,7 +3466,7 @@ function App() {
                 Stop
               </button>
               <button
-                onClick={saveDose}
+                onClick={openSitePicker}
                 className="flex-1 bg-emerald-600 hover:bg-emerald-500 active:scale-[0.98] text-white font-semibold py-5 rounded-2xl transition-all duration-200 shadow-lg shadow-emerald-600/30"
               >
                 Save Dose
@@ -1037,6 +3475,85 @@ function App() {
           )}
         </div>
 
+        {/* Background noise meter */}
+        {isListening && noiseLevel && (
+          <div className="bg-slate-800 rounded-xl p-4 space-y-2 animate-fade-in-up">
+            <div className="flex justify-between text-xs">
+              <span className="text-slate-400">Background noise</span>
+              <span className="text-slate-500">
+                {noiseStatus === 'measuring'
+                  ? 'Measuring...'
+                  : `${Math.round(noiseLevel.floor * 100)}% · clicks need ${Math.round((noiseLevel.floor + sensitivity) * 100)}%`}
+              </span>
+            </div>
+            <div className="w-full bg-slate-700 rounded-full h-2 relative overflow-hidden">
+              <div
+                className={`h-2 rounded-full transition-all duration-300 ${
+                  noiseStatus === 'too-loud' ? 'bg-red-500' : noiseStatus === 'noisy' ? 'bg-amber-500' : 'bg-slate-400'
+                }`}
+                style={{ width: `${Math.min(noiseLevel.floor * 100, 100)}%` }}
+              />
+              <div
+                className="absolute top-0 h-2 w-0.5 bg-cyan-400"
+                style={{ left: `${Math.min((noiseLevel.floor + sensitivity) * 100, 100)}%` }}
+              />
+            </div>
+            {noiseStatus === 'measuring' && (
+              <p className="text-slate-400 text-xs">Measuring background noise, wait a moment before clicking.</p>
+            )}
+            {noiseStatus === 'too-loud' && (
+              <p className="text-red-400 text-xs">Too loud to hear clicks reliably. Move somewhere quieter or count manually.</p>
+            )}
+            {noiseStatus === 'noisy' && (
+              <p className="text-amber-400 text-xs">Background noise is uneven and may be miscounted. Try a quieter spot or make detection less sensitive.</p>
+            )}
+          </div>
+        )}
+
+        {/* Detection debug view */}
+        {isListening && showDebug && (
+          <DebugPanel analyserRef={analyserRef} traceRef={traceRef} />
+        )}
+
+        {/* Cadence Correction */}
+        {cadenceFlagged && cadenceMode === 'suggest' && cadenceCount !== clickCount && (
+          <div className="bg-amber-900/40 border border-amber-700 rounded-xl p-3 flex items-center gap-3 animate-fade-in-up">
+            <p className="text-amber-300 text-xs flex-1">
+              Out of rhythm:
+              {cadenceFlags.doubles > 0 && ` ${cadenceFlags.doubles} ${cadenceFlags.doubles === 1 ? 'click looks' : 'clicks look'} counted twice`}
+              {cadenceFlags.doubles > 0 && cadenceFlags.misses > 0 && ','}
+              {cadenceFlags.misses > 0 && ` ${cadenceFlags.misses} ${cadenceFlags.misses === 1 ? 'click looks' : 'clicks look'} missed`}
+            </p>
+            <button
+              onClick={applyCadenceCorrection}
+              className="bg-amber-600 hover:bg-amber-500 active:scale-[0.98] text-white text-xs font-semibold px-3 py-2 rounded-lg transition-all duration-200"
+            >
+              Did you mean {cadenceCount}?
+            </button>
+            <button onClick={dismissCadenceFlags} className="text-slate-400 hover:text-slate-300 text-xs transition-colors">
+              Dismiss
+            </button>
+          </div>
+        )}
+        {cadenceFlagged && cadenceMode === 'auto' && clickCount > 0 && (
+          <p className="text-slate-400 text-xs text-center">
+            Corrected for rhythm:
+            {cadenceFlags.doubles > 0 && ` ignored ${cadenceFlags.doubles} double ${cadenceFlags.doubles === 1 ? 'count' : 'counts'}`}
+            {cadenceFlags.doubles > 0 && cadenceFlags.misses > 0 && ','}
+            {cadenceFlags.misses > 0 && ` added ${cadenceFlags.misses} missed ${cadenceFlags.misses === 1 ? 'click' : 'clicks'}`}
+          </p>
+        )}
+        {cadenceFlags.unconfirmed > 0 && cadenceMode === 'auto' && clickCount > 0 && (
+          <p className="text-amber-400 text-xs text-center">
+            {cadenceFlags.unconfirmed === 1 ? 'A click may have been missed' : `${cadenceFlags.unconfirmed} clicks may have been missed`} this close to the target, so nothing was added. Check the pen's dose window and use + if needed.
+          </p>
+        )}
+        {gatedClicks > 0 && (
+          <p className="text-amber-400 text-xs text-center">
+            {gatedClicks === 1 ? 'A click was' : `${gatedClicks} clicks were`} heard while feedback was playing and not counted. If the count looks low, use + to add any you dialled then.
+          </p>
+        )}
+
         {/* Manual Adjustment and Reset Buttons */}
         {isListening && (
           <div className="space-y-3 animate-fade-in-up">
@@ -1078,9 +3595,45 @@ function App() {
           )}
         </button>
 
+        {/* Dashboard Toggle */}
+        {history.length > 0 && (
+          <button
+            onClick={() => setShowDashboard(!showDashboard)}
+            className="w-full bg-slate-800 hover:bg-slate-700 active:scale-[0.99] text-slate-300 font-medium py-4 rounded-xl transition-all duration-200 flex items-center justify-center gap-2"
+          >
+            <svg className={`w-4 h-4 transition-transform duration-200 ${showDashboard ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+            </svg>
+            {showDashboard ? 'Hide' : 'Show'} Dose Charts
+          </button>
+        )}
+
+        {/* Dose Charts */}
+        {showDashboard && history.length > 0 && (
+          <Dashboard
+            history={history}
+            pens={pens}
+            schedule={schedule}
+            scheduleName={schedule && penCatalog[schedule.medication]?.name}
+            intervalDays={reminders.intervalDays}
+            medicationName={currentMedication.name}
+          />
+        )}
+
         {/* History List */}
         {showHistory && (
           <div className="bg-slate-800 rounded-xl p-4 space-y-3 animate-fade-in-up">
+            {deletedEntry && (
+              <div className="flex items-center justify-between bg-slate-700 rounded-lg px-3 py-2 text-sm">
+                <span className="text-slate-300">Dose from {formatDate(deletedEntry.date)} deleted</span>
+                <button
+                  onClick={undoDelete}
+                  className="text-cyan-400 hover:text-cyan-300 text-xs font-medium transition-colors"
+                >
+                  Undo
+                </button>
+              </div>
+            )}
             {history.length > 0 ? (
               <>
                 <div className="max-h-72 overflow-y-auto space-y-2 pr-1">
@@ -1105,7 +3658,37 @@ function App() {
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
                         </svg>
                         {formatDate(entry.date)}
+                        {entry.overTarget && (
+                          <span className="text-red-400 font-medium">· over target</span>
+                        )}
+                        {entry.editedAt && (
+                          <span className="text-amber-400/80" title={`Edited ${formatDate(entry.editedAt)}`}>
+                            · edited, {entry.detectedClicks} clicks detected
+                          </span>
+                        )}
+                        {entry.sessionLog && (
+                          <button
+                            onClick={() => openSessionViewer(entry)}
+                            className="ml-auto text-slate-400 hover:text-slate-300 text-xs font-medium transition-colors"
+                          >
+                            Session
+                          </button>
+                        )}
+                        <button
+                          onClick={() => openEntryEditor(entry)}
+                          className={`${entry.sessionLog ? 'ml-2' : 'ml-auto'} text-cyan-400 hover:text-cyan-300 text-xs font-medium transition-colors`}
+                        >
+                          Edit
+                        </button>
                       </div>
+                      {(entry.site || entry.sideEffects?.length > 0 || entry.weight || entry.notes) && (
+                        <div className="mt-2 pt-2 border-t border-slate-600/50 text-xs text-slate-400 space-y-0.5">
+                          {entry.site && <p>Site: {INJECTION_SITES[entry.site] || entry.site}</p>}
+                          {entry.sideEffects?.length > 0 && <p>Side effects: {entry.sideEffects.join(', ')}</p>}
+                          {entry.weight && <p>Weight: {entry.weight} {entry.weightUnit}</p>}
+                          {entry.notes && <p className="text-slate-300 italic break-words">{entry.notes}</p>}
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -1125,6 +3708,32 @@ function App() {
                 <p className="text-slate-600 text-xs mt-1">Your saved doses will appear here</p>
               </div>
             )}
+
+            {/* Export and import */}
+            <div className="flex gap-2 pt-3 border-t border-slate-700">
+              <button
+                onClick={exportCsv}
+                disabled={history.length === 0}
+                className="flex-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed text-slate-300 text-sm py-2 rounded-lg transition-colors"
+              >
+                Export CSV
+              </button>
+              <button
+                onClick={() => setExportDialog({ parts: Object.keys(BACKUP_PARTS) })}
+                className="flex-1 bg-slate-700 hover:bg-slate-600 text-slate-300 text-sm py-2 rounded-lg transition-colors"
+              >
+                Back Up
+              </button>
+              <label className="flex-1 text-center bg-slate-700 hover:bg-slate-600 text-slate-300 text-sm py-2 rounded-lg cursor-pointer transition-colors">
+                Import
+                <input
+                  type="file"
+                  accept=".csv,.json,text/csv,application/json"
+                  onChange={importFile}
+                  className="hidden"
+                />
+              </label>
+            </div>
           </div>
         )}
 
@@ -0,0 +1,68 @@
+import { describeDaysAgo, INJECTION_SITES } from './siteRotation.js'
+
+// Tappable areas on a front view of the body. The figure faces the viewer,
+// so the user's right side is on the left of the drawing.
+const SITE_AREAS = {
+  'arm-right': { x: 38, y: 74, width: 20, height: 44 },
+  'arm-left': { x: 142, y: 74, width: 20, height: 44 },
+  'abdomen-upper-right': { x: 73, y: 108, width: 25, height: 25 },
+  'abdomen-upper-left': { x: 102, y: 108, width: 25, height: 25 },
+  'abdomen-lower-right': { x: 73, y: 139, width: 25, height: 25 },
+  'abdomen-lower-left': { x: 102, y: 139, width: 25, height: 25 },
+  'thigh-right': { x: 71, y: 186, width: 26, height: 52 },
+  'thigh-left': { x: 103, y: 186, width: 26, height: 52 },
+}
+
+const areaColor = (site, { selected, recent }) => {
+  if (site === selected) return '#06b6d4'
+  if (site in recent) return '#b45309'
+  return '#475569'
+}
+
+// Pick an injection site. Sites used recently are shown in amber, with the
+// number of days since in their tooltip; the suggested site is outlined.
+function BodyDiagram({ selected, suggested, recent, onSelect }) {
+  return (
+    <div>
+      <svg viewBox="0 0 200 300" className="w-full max-w-[220px] mx-auto block">
+        {/* Figure */}
+        <g fill="#1e293b" stroke="#334155" strokeWidth="2">
+          <circle cx="100" cy="30" r="20" />
+          <rect x="91" y="48" width="18" height="12" />
+          <rect x="64" y="58" width="72" height="120" rx="16" />
+          <rect x="36" y="62" width="24" height="110" rx="12" />
+          <rect x="140" y="62" width="24" height="110" rx="12" />
+          <rect x="68" y="172" width="31" height="120" rx="12" />
+          <rect x="101" y="172" width="31" height="120" rx="12" />
+        </g>
+        <circle cx="100" cy="136" r="2.5" fill="#64748b" />
+
+        {/* Sites */}
+        {Object.entries(SITE_AREAS).map(([site, area]) => (
+          <rect
+            key={site}
+            {...area}
+            rx="6"
+            fill={areaColor(site, { selected, recent })}
+            fillOpacity={site === selected ? 0.9 : 0.6}
+            stroke={site === suggested ? '#34d399' : 'none'}
+            strokeWidth="2.5"
+            strokeDasharray={site === suggested && site !== selected ? '4 3' : undefined}
+            className="cursor-pointer hover:opacity-80 transition-opacity"
+            onClick={() => onSelect(site)}
+          >
+            <title>
+              {INJECTION_SITES[site]}
+              {site in recent ? ` (used ${describeDaysAgo(recent[site])})` : ''}
+            </title>
+          </rect>
+        ))}
+
+        <text x="20" y="296" fill="#64748b" fontSize="11">Right</text>
+        <text x="180" y="296" fill="#64748b" fontSize="11" textAnchor="end">Left</text>
+      </svg>
+    </div>
+  )
+}
+
+export default BodyDiagram
@@ -0,0 +1,291 @@
+import { useState } from 'react'
+import { DASHBOARD_RANGES, doseSeries, entriesInRange, getAdherence, penUsage } from './analytics.js'
+import { plannedSteps } from './titration.js'
+
+// Chart size in SVG units; charts scale to the panel width
+const WIDTH = 320
+const HEIGHT = 140
+const PAD = { left: 34, right: 8, top: 8, bottom: 20 }
+
+const COLORS = {
+  grid: '#334155',
+  label: '#64748b',
+  dose: '#10b981',
+  target: '#22d3ee',
+  planned: '#94a3b8',
+  'on-time': '#10b981',
+  late: '#f59e0b',
+  missed: '#ef4444',
+}
+
+// Doses more than this fraction off target are highlighted
+const ACCURACY_WARNING = 0.05
+
+const RANGE_LABELS = { '3m': '3M', '6m': '6M', '1y': '1Y', all: 'All' }
+
+// Scales mapping time and value to chart coordinates
+const makeScales = (start, end, min, max) => ({
+  x: (time) => PAD.left + ((time - start) / Math.max(1, end - start)) * (WIDTH - PAD.left - PAD.right),
+  y: (value) => HEIGHT - PAD.bottom - ((value - min) / Math.max(1e-9, max - min)) * (HEIGHT - PAD.top - PAD.bottom),
+})
+
+// First of each month between two times, thinned to at most six labels
+const monthTicks = (start, end) => {
+  const ticks = []
+  const date = new Date(start)
+  date.setDate(1)
+  date.setHours(0, 0, 0, 0)
+  date.setMonth(date.getMonth() + 1)
+  while (date.getTime() <= end) {
+    ticks.push(date.getTime())
+    date.setMonth(date.getMonth() + 1)
+  }
+  const step = Math.ceil(ticks.length / 6)
+  return ticks.filter((_, i) => i % step === 0)
+}
+
+// Axes, grid lines and labels shared by the time charts
+function Axes({ start, end, scales, yTicks, format }) {
+  return (
+    <g fontSize="9" fill={COLORS.label}>
+      {yTicks.map(value => (
+        <g key={value}>
+          <line x1={PAD.left} x2={WIDTH - PAD.right} y1={scales.y(value)} y2={scales.y(value)} stroke={COLORS.grid} strokeWidth="0.5" />
+          <text x={PAD.left - 4} y={scales.y(value) + 3} textAnchor="end">{format(value)}</text>
+        </g>
+      ))}
+      {monthTicks(start, end).map(time => (
+        <text key={time} x={scales.x(time)} y={HEIGHT - 6} textAnchor="middle">
+          {new Date(time).toLocaleDateString([], { month: 'short', year: '2-digit' })}
+        </text>
+      ))}
+    </g>
+  )
+}
+
+// Delivered doses against their targets and the titration schedule
+function DoseChart({ series, planned, start, end }) {
+  const max = Math.max(...series.map(point => Math.max(point.dose, point.targetDose || 0)), ...planned.map(step => step.dose)) * 1.15
+  const scales = makeScales(start, end, 0, max)
+  const yTicks = [0, max / 2, max].map(value => Number(value.toFixed(2)))
+
+  // Planned schedule as steps, held until the end of the chart
+  const visible = planned.filter(step => step.date <= end)
+  const plannedPath = visible.map((step, i) => {
+    const next = visible[i + 1]?.date ?? end
+    const x1 = scales.x(Math.max(step.date, start))
+    const x2 = scales.x(Math.min(next, end))
+    return next < start ? '' : `M${x1},${scales.y(step.dose)}H${x2}`
+  }).join('')
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full">
+      <Axes start={start} end={end} scales={scales} yTicks={yTicks} format={value => value} />
+      {plannedPath && <path d={plannedPath} stroke={COLORS.planned} strokeWidth="1.5" strokeDasharray="4 3" fill="none" />}
+      {series.map(point => point.targetDose !== null && (
+        <line
+          key={`t${point.time}`}
+          x1={scales.x(point.time) - 3}
+          x2={scales.x(point.time) + 3}
+          y1={scales.y(point.targetDose)}
+          y2={scales.y(point.targetDose)}
+          stroke={COLORS.target}
+          strokeWidth="1.5"
+        />
+      ))}
+      <polyline
+        points={series.map(point => `${scales.x(point.time)},${scales.y(point.dose)}`).join(' ')}
+        stroke={COLORS.dose}
+        strokeOpacity="0.4"
+        fill="none"
+      />
+      {series.map(point => (
+        <circle key={point.time} cx={scales.x(point.time)} cy={scales.y(point.dose)} r="2.5" fill={COLORS.dose}>
+          <title>{`${new Date(point.time).toLocaleDateString()}: ${point.dose.toFixed(2)} mg`}</title>
+        </circle>
+      ))}
+    </svg>
+  )
+}
+
+// How far each dose was from its target, in mg
+function AccuracyChart({ series, start, end }) {
+  const points = series.filter(point => point.difference !== null)
+  const limit = Math.max(0.01, ...points.map(point => Math.abs(point.difference))) * 1.2
+  const scales = makeScales(start, end, -limit, limit)
+  const barWidth = Math.max(1, Math.min(6, (WIDTH - PAD.left - PAD.right) / Math.max(1, points.length) - 1))
+  const yTicks = [-limit, 0, limit].map(value => Number(value.toFixed(3)))
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full">
+      <Axes start={start} end={end} scales={scales} yTicks={yTicks} format={value => (value > 0 ? `+${value}` : value)} />
+      {points.map(point => {
+        const y0 = scales.y(0)
+        const y1 = scales.y(point.difference)
+        const off = point.fraction !== null && Math.abs(point.fraction) >= ACCURACY_WARNING
+        return (
+          <rect
+            key={point.time}
+            x={scales.x(point.time) - barWidth / 2}
+            y={Math.min(y0, y1)}
+            width={barWidth}
+            height={Math.max(0.5, Math.abs(y1 - y0))}
+            fill={off ? COLORS.late : COLORS.dose}
+          >
+            <title>{`${new Date(point.time).toLocaleDateString()}: ${point.difference >= 0 ? '+' : ''}${point.difference.toFixed(3)} mg`}</title>
+          </rect>
+        )
+      })}
+    </svg>
+  )
+}
+
+// Doses in order, coloured by whether they were on time, late or missed
+function AdherenceStrip({ events }) {
+  const cell = Math.max(2, Math.min(10, WIDTH / Math.max(1, events.length)))
+  return (
+    <svg viewBox={`0 0 ${WIDTH} 14`} className="w-full">
+      {events.map((event, i) => (
+        <rect key={`${event.time}-${i}`} x={i * cell} y="2" width={Math.max(1, cell - 1)} height="10" rx="1" fill={COLORS[event.status]}>
+          <title>{`${new Date(event.time).toLocaleDateString()}: ${event.status}`}</title>
+        </rect>
+      ))}
+    </svg>
+  )
+}
+
+// Charts of the dose history: doses against target and schedule, adherence to
+// the dosing interval, delivery accuracy and usage per pen
+function Dashboard({ history, pens, schedule, scheduleName, intervalDays, medicationName }) {
+  const medications = [...new Set(history.map(entry => entry.medication))]
+  const [range, setRange] = useState('6m')
+  const [selectedMedication, setSelectedMedication] = useState(
+    medications.includes(medicationName) ? medicationName : medications[0]
+  )
+
+  // Fall back to another medication if the selected one's doses were deleted
+  const shownMedication = medications.includes(selectedMedication) ? selectedMedication : medications[0]
+
+  const now = Date.now()
+  const entries = entriesInRange(history.filter(entry => entry.medication === shownMedication), DASHBOARD_RANGES[range], now)
+
+  const header = (
+    <div className="flex items-center justify-between gap-2">
+      {medications.length > 1 ? (
+        <select
+          value={shownMedication}
+          onChange={(e) => setSelectedMedication(e.target.value)}
+          className="bg-slate-700 text-white rounded-lg px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-cyan-500"
+        >
+          {medications.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      ) : (
+        <span className="text-slate-400 text-sm">{shownMedication}</span>
+      )}
+      <div className="flex gap-1">
+        {Object.keys(DASHBOARD_RANGES).map(key => (
+          <button
+            key={key}
+            onClick={() => setRange(key)}
+            className={`text-xs px-2 py-1 rounded-lg transition-colors ${
+              range === key ? 'bg-cyan-600 text-white' : 'bg-slate-700 text-slate-400 hover:bg-slate-600'
+            }`}
+          >
+            {RANGE_LABELS[key]}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+
+  if (entries.length === 0) {
+    return (
+      <div className="bg-slate-800 rounded-xl p-4 space-y-5 animate-fade-in-up">
+        {header}
+        <p className="text-center text-slate-500 text-sm">No doses in this time range</p>
+      </div>
+    )
+  }
+
+  const start = DASHBOARD_RANGES[range] === null
+    ? new Date(entries[0].date).getTime()
+    : now - DASHBOARD_RANGES[range] * 24 * 60 * 60 * 1000
+  const series = doseSeries(entries)
+  const planned = schedule && scheduleName === shownMedication ? plannedSteps(schedule) : []
+  const adherence = getAdherence(entries, intervalDays, now)
+  const expected = adherence.onTime + adherence.late + adherence.missed
+  const usage = penUsage(entries, pens)
+  const maxUsage = Math.max(...usage.map(group => group.pen ? group.pen.totalClicks : group.clicks))
+  const offTarget = series.filter(point => point.fraction !== null && Math.abs(point.fraction) >= ACCURACY_WARNING).length
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-4 space-y-5 animate-fade-in-up">
+      {header}
+
+      {/* Dose over time */}
+      <div className="space-y-1">
+        <h3 className="text-slate-300 text-sm font-medium">Dose over time (mg)</h3>
+        <DoseChart series={series} planned={planned} start={start} end={now} />
+        <div className="flex gap-3 text-xs text-slate-500">
+          <span><span style={{ color: COLORS.dose }}>{'\u25CF'}</span> Delivered</span>
+          <span><span style={{ color: COLORS.target }}>{'\u2014'}</span> Target</span>
+          {planned.length > 0 && <span><span style={{ color: COLORS.planned }}>- -</span> Schedule</span>}
+        </div>
+      </div>
+
+      {/* Adherence */}
+      <div className="space-y-1">
+        <h3 className="text-slate-300 text-sm font-medium">
+          Adherence <span className="text-slate-500 font-normal">(every {intervalDays} day{intervalDays > 1 ? 's' : ''})</span>
+        </h3>
+        <AdherenceStrip events={adherence.events} />
+        <div className="flex gap-3 text-xs">
+          <span style={{ color: COLORS['on-time'] }}>{adherence.onTime} on time</span>
+          <span style={{ color: COLORS.late }}>{adherence.late} late</span>
+          <span style={{ color: COLORS.missed }}>{adherence.missed} missed</span>
+          <span className="text-slate-500 ml-auto">{Math.round((adherence.onTime / expected) * 100)}% on time</span>
+        </div>
+      </div>
+
+      {/* Delivered vs target */}
+      <div className="space-y-1">
+        <h3 className="text-slate-300 text-sm font-medium">Delivered minus target (mg)</h3>
+        <AccuracyChart series={series} start={start} end={now} />
+        <p className="text-xs text-slate-500">
+          {offTarget === 0
+            ? `Every dose within ${ACCURACY_WARNING * 100}% of its target`
+            : `${offTarget} dose${offTarget > 1 ? 's' : ''} more than ${ACCURACY_WARNING * 100}% off target`}
+        </p>
+      </div>
+
+      {/* Usage per pen */}
+      <div className="space-y-2">
+        <h3 className="text-slate-300 text-sm font-medium">Usage per pen</h3>
+        {usage.map(group => (
+          <div key={group.key} className="space-y-1">
+            <div className="flex justify-between text-xs">
+              <span className="text-slate-300 truncate">
+                {group.label}
+                {group.pen && <span className="text-slate-500"> · opened {group.pen.openedAt}{group.pen.lot && `, lot ${group.pen.lot}`}</span>}
+              </span>
+              <span className="text-slate-400 shrink-0 ml-2">
+                {group.doses} dose{group.doses > 1 ? 's' : ''}, {group.mg.toFixed(2)} mg
+              </span>
+            </div>
+            <div className="h-2 bg-slate-700 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-cyan-500 rounded-full"
+                style={{ width: `${(group.clicks / maxUsage) * 100}%` }}
+                title={group.pen ? `${group.pen.usedClicks} of ${group.pen.totalClicks} clicks used` : `${group.clicks} clicks`}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default Dashboard
@@ -0,0 +1,145 @@
+import { useEffect, useRef } from 'react'
+
+// How much history the traces show
+const TRACE_WINDOW_MS = 5000
+
+const REJECT_LABELS = {
+  threshold: 'below threshold',
+  debounce: 'debounce',
+  voice: 'voice',
+  similarity: 'low similarity',
+  feedback: 'own feedback',
+}
+
+const COLORS = {
+  spectrum: '#0891b2',
+  energy: '#e2e8f0',
+  floor: '#64748b',
+  threshold: '#22d3ee',
+  accepted: '#10b981',
+  rejected: '#ef4444',
+}
+
+// Draw a 0-1 trace across the plot, skipping entries where the value is null
+const drawTrace = (ctx, frames, key, x, y, color) => {
+  ctx.strokeStyle = color
+  ctx.lineWidth = 1.5
+  ctx.beginPath()
+  let drawing = false
+  for (const frame of frames) {
+    if (frame[key] === null) {
+      drawing = false
+      continue
+    }
+    if (drawing) {
+      ctx.lineTo(x(frame.time), y(frame[key]))
+    } else {
+      ctx.moveTo(x(frame.time), y(frame[key]))
+      drawing = true
+    }
+  }
+  ctx.stroke()
+}
+
+// Live view of what the detector sees: the analyser spectrum, the energy,
+// noise floor and threshold traces, and a marker for every onset the detector
+// judged, green when counted and red with the reason when rejected. traceRef
+// holds the entries reported through the detector's onTrace.
+function DebugPanel({ analyserRef, traceRef }) {
+  const spectrumCanvasRef = useRef(null)
+  const traceCanvasRef = useRef(null)
+
+  useEffect(() => {
+    let animationFrame = null
+
+    const drawSpectrum = () => {
+      const canvas = spectrumCanvasRef.current
+      const analyser = analyserRef.current
+      if (!canvas || !analyser) return
+
+      const ctx = canvas.getContext('2d')
+      const spectrum = new Uint8Array(analyser.frequencyBinCount)
+      analyser.getByteFrequencyData(spectrum)
+
+      ctx.clearRect(0, 0, canvas.width, canvas.height)
+      ctx.fillStyle = COLORS.spectrum
+      const barWidth = canvas.width / spectrum.length
+      for (let i = 0; i < spectrum.length; i++) {
+        const height = (spectrum[i] / 255) * canvas.height
+        ctx.fillRect(i * barWidth, canvas.height - height, Math.max(1, barWidth - 0.5), height)
+      }
+    }
+
+    const drawTraces = () => {
+      const canvas = traceCanvasRef.current
+      const entries = traceRef.current
+      if (!canvas || !entries || entries.length === 0) return
+
+      const ctx = canvas.getContext('2d')
+      const end = entries[entries.length - 1].time
+      const start = end - TRACE_WINDOW_MS
+
+      // Drop entries that have scrolled out of view
+      const firstVisible = entries.findIndex(entry => entry.time >= start)
+      if (firstVisible > 0) entries.splice(0, firstVisible)
+
+      const x = (time) => ((time - start) / TRACE_WINDOW_MS) * canvas.width
+      const y = (value) => canvas.height - Math.max(0, Math.min(1, value)) * canvas.height
+      const frames = entries.filter(entry => entry.type === 'frame')
+      const markers = entries.filter(entry => entry.type === 'marker')
+
+      ctx.clearRect(0, 0, canvas.width, canvas.height)
+      drawTrace(ctx, frames, 'floor', x, y, COLORS.floor)
+      drawTrace(ctx, frames, 'threshold', x, y, COLORS.threshold)
+      drawTrace(ctx, frames, 'energy', x, y, COLORS.energy)
+
+      ctx.font = '10px sans-serif'
+      for (const marker of markers) {
+        const color = marker.accepted ? COLORS.accepted : COLORS.rejected
+        ctx.strokeStyle = color
+        ctx.fillStyle = color
+        ctx.beginPath()
+        ctx.moveTo(x(marker.time), 0)
+        ctx.lineTo(x(marker.time), canvas.height)
+        ctx.stroke()
+
+        const label = [
+          marker.accepted ? 'click' : REJECT_LABELS[marker.reason],
+          marker.similarity !== null && `${Math.round(marker.similarity * 100)}%`,
+        ].filter(Boolean).join(' ')
+        ctx.fillText(label, Math.min(x(marker.time) + 2, canvas.width - ctx.measureText(label).width), 10)
+      }
+    }
+
+    const draw = () => {
+      drawSpectrum()
+      drawTraces()
+      animationFrame = requestAnimationFrame(draw)
+    }
+    animationFrame = requestAnimationFrame(draw)
+
+    return () => cancelAnimationFrame(animationFrame)
+  }, [analyserRef, traceRef])
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-4 space-y-3 animate-fade-in-up">
+      <div>
+        <p className="text-slate-400 text-xs mb-1">Spectrum</p>
+        <canvas ref={spectrumCanvasRef} width={320} height={60} className="w-full h-16 bg-slate-900 rounded" />
+      </div>
+      <div>
+        <p className="text-slate-400 text-xs mb-1">Level (last {TRACE_WINDOW_MS / 1000}s)</p>
+        <canvas ref={traceCanvasRef} width={320} height={120} className="w-full h-32 bg-slate-900 rounded" />
+      </div>
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs">
+        <span style={{ color: COLORS.energy }}>Energy</span>
+        <span style={{ color: COLORS.floor }}>Noise floor</span>
+        <span style={{ color: COLORS.threshold }}>Threshold</span>
+        <span style={{ color: COLORS.accepted }}>Counted</span>
+        <span style={{ color: COLORS.rejected }}>Rejected</span>
+      </div>
+    </div>
+  )
+}
+
+export default DebugPanel
@@ -0,0 +1,80 @@
+import { replaySession, SESSION_EVENTS } from './sessionLog.js'
+
+const WIDTH = 300
+const HEIGHT = 36
+
+const eventColor = (event) => {
+  if (event.type === 'click') return event.cadence ? '#f59e0b' : '#22d3ee'
+  if (event.type === 'gated') return '#a78bfa'
+  if (event.type === 'reset') return '#f87171'
+  if (event.type === 'start' || event.type === 'stop') return '#64748b'
+  return '#e2e8f0'
+}
+
+const formatOffset = (ms) => `+${(ms / 1000).toFixed(1)}s`
+
+// What happened at an event, beyond its type
+const describeEvent = (event) => {
+  const parts = []
+  if (event.type === 'gated') {
+    parts.push(`spike ${event.spike.toFixed(2)}, not counted`)
+  } else if (event.type === 'click') {
+    parts.push(`spike ${event.spike.toFixed(2)}`)
+    if (event.similarity !== undefined) parts.push(`match ${Math.round(event.similarity * 100)}%`)
+    if (event.cadence === 'double') parts.push(event.added ? 'looked like a double count' : 'ignored as a double count')
+    if (event.cadence === 'missed') parts.push(event.added > 1 ? 'added a missed click' : 'gap looked like a missed click')
+  } else if (event.delta !== undefined) {
+    parts.push(event.delta > 0 ? `+${event.delta}` : String(event.delta))
+  }
+  return parts.join(', ')
+}
+
+// A saved session log: events as ticks along a time axis, then listed with
+// the count each one left
+function SessionTimeline({ log }) {
+  const events = replaySession(log)
+  const duration = Math.max(events.length > 0 ? events[events.length - 1].t : 0, 1)
+  const x = (t) => 4 + (t / duration) * (WIDTH - 8)
+
+  return (
+    <div className="space-y-3">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full block">
+        <line x1="4" y1={HEIGHT / 2} x2={WIDTH - 4} y2={HEIGHT / 2} stroke="#334155" strokeWidth="2" />
+        {events.map((event, i) => (
+          <line
+            key={i}
+            x1={x(event.t)}
+            y1={event.type === 'click' ? 8 : 4}
+            x2={x(event.t)}
+            y2={event.type === 'click' ? HEIGHT - 8 : HEIGHT - 4}
+            stroke={eventColor(event)}
+            strokeWidth="2"
+          >
+            <title>{`${formatOffset(event.t)} ${SESSION_EVENTS[event.type] || event.type}`}</title>
+          </line>
+        ))}
+      </svg>
+      <div className="flex justify-between text-slate-500 text-xs">
+        <span>0s</span>
+        <span>{formatOffset(duration)}</span>
+      </div>
+
+      <ol className="max-h-64 overflow-y-auto space-y-1 pr-1 text-xs">
+        {events.map((event, i) => (
+          <li key={i} className="flex items-baseline gap-2">
+            <span className="text-slate-500 w-14 shrink-0 text-right tabular-nums">{formatOffset(event.t)}</span>
+            <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: eventColor(event) }} />
+            <span className="text-slate-300">{SESSION_EVENTS[event.type] || event.type}</span>
+            <span className="text-slate-500 flex-1 truncate">{describeEvent(event)}</span>
+            <span className="text-white font-medium tabular-nums">{event.count}</span>
+          </li>
+        ))}
+      </ol>
+      {log.truncated && (
+        <p className="text-slate-500 text-xs">The session ran long; only its first events were kept.</p>
+      )}
+    </div>
+  )
+}
+
+export default SessionTimeline
@@ -0,0 +1,99 @@
+// Alert sounds, speech and vibration
+//
+// Everything the app plays or vibrates while listening goes through here, so
+// each output can be reported to the output gate (see outputGate.js) and the
+// click detector doesn't count it. Tones are played through the listening
+// AudioContext and fade in and out rather than starting sharply.
+
+// Vibration patterns in ms, alternating vibrate and pause
+export const VIBRATION = {
+  click: [30],
+  warning: [80],
+  reached: [150, 80, 150],
+  over: [400, 100, 400, 100, 400],
+}
+
+// Tones as [frequency Hz, duration ms] pairs, played one after another
+const TONES = {
+  tick: [[660, 70]],
+  pip: [[990, 60]],
+  reached: [[880, 150], [1175, 200]],
+  over: [[440, 250], [330, 250], [440, 250], [330, 250]],
+}
+
+// Fade time at each end of a tone
+const FADE_S = 0.04
+
+// Give up waiting for speech to report that it ended
+const MAX_SPEECH_MS = 4000
+
+// createAlerts({ getAudioContext, onOutput, onOutputEnd }) returns
+// { vibrate(pattern), tones(name), speak(text) }. While an AudioContext is
+// running, onOutput(from, until) is called with the audio time (ms) each
+// output lasts; for speech until is Infinity and onOutputEnd(time) follows
+// when it finishes.
+export const createAlerts = ({ getAudioContext, onOutput, onOutputEnd }) => {
+  let utterances = 0
+
+  // Current audio time in ms, or null when not listening
+  const audioTime = () => {
+    const audioContext = getAudioContext()
+    return audioContext && audioContext.state === 'running' ? audioContext.currentTime * 1000 : null
+  }
+
+  const vibrate = (pattern) => {
+    if (!('vibrate' in navigator)) return
+    navigator.vibrate(pattern)
+    const now = audioTime()
+    if (now !== null) onOutput(now, now + pattern.reduce((total, ms) => total + ms, 0))
+  }
+
+  const tones = (name) => {
+    const audioContext = getAudioContext()
+    if (!audioContext || audioContext.state !== 'running') return
+
+    const start = audioContext.currentTime
+    let time = start
+    for (const [frequency, duration] of TONES[name]) {
+      const seconds = duration / 1000
+      const oscillator = audioContext.createOscillator()
+      const gain = audioContext.createGain()
+      oscillator.frequency.value = frequency
+      gain.gain.setValueAtTime(0, time)
+      gain.gain.linearRampToValueAtTime(0.3, time + FADE_S)
+      gain.gain.setValueAtTime(0.3, time + seconds - FADE_S)
+      gain.gain.linearRampToValueAtTime(0, time + seconds)
+      oscillator.connect(gain).connect(audioContext.destination)
+      oscillator.start(time)
+      oscillator.stop(time + seconds)
+      time += seconds
+    }
+    onOutput(start * 1000, time * 1000)
+  }
+
+  // Speak text, interrupting anything still being said
+  const speak = (text) => {
+    if (!('speechSynthesis' in window)) return
+    window.speechSynthesis.cancel()
+
+    const utterance = new SpeechSynthesisUtterance(text)
+    utterance.rate = 1.3
+    const id = ++utterances
+
+    const now = audioTime()
+    if (now !== null) {
+      onOutput(now, Infinity)
+      // Only the latest utterance ends the gate; cancelled ones end early
+      const end = () => {
+        const time = audioTime()
+        if (id === utterances && time !== null) onOutputEnd(time)
+      }
+      utterance.onend = end
+      utterance.onerror = end
+      setTimeout(end, MAX_SPEECH_MS)
+    }
+    window.speechSynthesis.speak(utterance)
+  }
+
+  return { vibrate, tones, speak }
+}
@@ -0,0 +1,101 @@
+// Dose history analytics
+//
+// Summaries behind the history dashboard. Everything works on the history as
+// stored (newest first) and returns plain data, oldest first, for the charts
+// to draw.
+
+import { daysBetween } from './reminders.js'
+
+// A dose this many days either side of when it was due still counts as on time
+export const ON_TIME_DAYS = 1
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Time ranges the dashboard can show, in days (null for all history)
+export const DASHBOARD_RANGES = { '3m': 91, '6m': 182, '1y': 365, all: null }
+
+// Entries within the last `days` days (all of them if days is null), oldest first
+export const entriesInRange = (history, days, now = Date.now()) => {
+  const since = days === null ? -Infinity : now - days * DAY_MS
+  return history
+    .filter(entry => new Date(entry.date).getTime() >= since)
+    .reverse()
+}
+
+// Each dose as { time, dose, targetDose, difference, fraction }, where
+// difference is the mg delivered above (or below) the target
+export const doseSeries = (entries) =>
+  entries.map(entry => {
+    const target = entry.targetDose ?? null
+    return {
+      time: new Date(entry.date).getTime(),
+      dose: entry.dose,
+      targetDose: target,
+      difference: target !== null ? entry.dose - target : null,
+      fraction: target ? (entry.dose - target) / target : null,
+    }
+  })
+
+// How closely doses kept to the dosing interval. Each dose after the first is
+// on time or late relative to the one before; whole intervals with no dose in
+// between count as missed, as does the time since the last dose. Returns
+// { onTime, late, missed, events }, where events lists { time, status } in
+// order, with missed doses placed when they were due.
+export const getAdherence = (entries, intervalDays, now = Date.now()) => {
+  const events = []
+
+  const addMissed = (from, gapDays) => {
+    const missed = Math.max(0, Math.floor((gapDays + ON_TIME_DAYS) / intervalDays) - 1)
+    for (let i = 1; i <= missed; i++) {
+      events.push({ time: from + i * intervalDays * DAY_MS, status: 'missed' })
+    }
+    return missed
+  }
+
+  entries.forEach((entry, i) => {
+    const time = new Date(entry.date).getTime()
+    if (i === 0) {
+      events.push({ time, status: 'on-time' })
+      return
+    }
+    const previous = new Date(entries[i - 1].date).getTime()
+    const gapDays = daysBetween(previous, time)
+    const missed = addMissed(previous, gapDays)
+    const delay = gapDays - (missed + 1) * intervalDays
+    events.push({ time, status: delay > ON_TIME_DAYS ? 'late' : 'on-time' })
+  })
+
+  if (entries.length > 0) {
+    const last = new Date(entries[entries.length - 1].date).getTime()
+    addMissed(last, daysBetween(last, now))
+  }
+
+  const count = (status) => events.filter(event => event.status === status).length
+  return { onTime: count('on-time'), late: count('late'), missed: count('missed'), events }
+}
+
+// Clicks and mg used per pen, most used first. Doses from a registered pen are
+// grouped under it, showing how much of it is used; the rest are grouped by
+// medication and strength.
+export const penUsage = (entries, pens) => {
+  const groups = new Map()
+  for (const entry of entries) {
+    const pen = entry.penId ? pens.find(p => p.id === entry.penId) : null
+    const key = pen ? pen.id : `${entry.medication}|${entry.penStrength}`
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        label: `${entry.medication} ${entry.penStrength}`,
+        pen,
+        doses: 0,
+        clicks: 0,
+        mg: 0,
+      })
+    }
+    const group = groups.get(key)
+    group.doses++
+    group.clicks += entry.clicks
+    group.mg += entry.dose
+  }
+  return [...groups.values()].sort((a, b) => b.mg - a.mg)
+}
@@ -0,0 +1,248 @@
+// Export and import
+//
+// Dose history exports as CSV, one row per dose, for spreadsheets and
+// clinicians. A JSON backup holds the history and, optionally, other saved
+// data, grouped into the parts in BACKUP_PARTS:
+//   { format, version, exportedAt, history: [...], records: { name: value } }
+// where records are stored values as saved by the app (see storage.js).
+// Entries keep their session logs in a backup; audio clips stay on the device.
+//
+// Importing either kind of file never overwrites a dose: entries are matched by
+// id and only new ones are added. Saved data from a backup replaces the
+// current data, part by part, when the user chooses to.
+
+import { parseCatalog } from './catalog.js'
+import { parseInventory } from './penInventory.js'
+import { parseLibrary } from './signatureLibrary.js'
+import { validateDose } from './storage.js'
+import { parseSchedule } from './titration.js'
+
+export const BACKUP_FORMAT = 'glp1-click-counter-backup'
+export const BACKUP_VERSION = 1
+
+// Optional parts of a backup and the stored records each holds
+export const BACKUP_PARTS = {
+  settings: { label: 'Settings, medications, schedule and reminders', records: ['settings', 'catalog', 'schedule', 'reminders'] },
+  inventory: { label: 'Pen inventory', records: ['inventory'] },
+  signatures: { label: 'Click signatures', records: ['signatures'] },
+}
+
+export const CSV_COLUMNS = [
+  'id', 'date', 'medication', 'penStrength', 'clicks', 'dose', 'targetDose', 'targetClicks', 'overTarget', 'penId',
+  'site', 'sideEffects', 'weight', 'weightUnit', 'notes', 'detectedClicks', 'editedAt',
+]
+
+// Separates side effects within their CSV field
+const LIST_SEPARATOR = '; '
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Whether a stored record from a backup can be used
+const RECORD_CHECKS = {
+  settings: isObject,
+  catalog: (value) => parseCatalog(value) !== null,
+  schedule: (value) => parseSchedule(value) !== null,
+  reminders: isObject,
+  inventory: (value) => parseInventory(value) !== null,
+  signatures: (value) => parseLibrary(value) !== null,
+}
+
+// An entry's value for a CSV column, as text
+const csvValue = (entry, column) => {
+  const value = entry[column]
+  if (Array.isArray(value)) return value.join(LIST_SEPARATOR)
+  return value === null || value === undefined ? '' : String(value)
+}
+
+// Quote a CSV field if it needs it
+const csvField = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text)
+
+export const historyToCsv = (history) =>
+  [CSV_COLUMNS, ...history.map(entry => CSV_COLUMNS.map(column => csvValue(entry, column)))]
+    .map(row => row.map(csvField).join(','))
+    .join('\r\n') + '\r\n'
+
+// Split CSV text into rows of fields
+const parseCsvRows = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows.filter(fields => fields.some(value => value.trim() !== ''))
+}
+
+// Numbers in a CSV field; blank or non-numeric text is kept as it is so
+// validation can report it
+const csvNumber = (text) => (text.trim() !== '' && !isNaN(Number(text)) ? Number(text) : text)
+
+const csvToEntry = (fields, columns) => {
+  const value = (column) => fields[columns.indexOf(column)] ?? ''
+  const entry = {
+    id: csvNumber(value('id')),
+    date: value('date'),
+    medication: value('medication'),
+    penStrength: value('penStrength'),
+    clicks: csvNumber(value('clicks')),
+    dose: csvNumber(value('dose')),
+    targetDose: value('targetDose') === '' ? null : csvNumber(value('targetDose')),
+  }
+  if (value('targetClicks')) entry.targetClicks = csvNumber(value('targetClicks'))
+  if (value('overTarget')) entry.overTarget = value('overTarget') === 'true'
+  if (columns.includes('penId')) {
+    entry.penId = value('penId') || null
+  }
+
+  // Annotations, and the original click count of edited entries
+  if (value('site')) entry.site = value('site')
+  if (value('sideEffects')) entry.sideEffects = value('sideEffects').split(LIST_SEPARATOR.trim()).map(effect => effect.trim())
+  if (value('weight')) entry.weight = csvNumber(value('weight'))
+  if (value('weightUnit')) entry.weightUnit = value('weightUnit')
+  if (value('notes')) entry.notes = value('notes')
+  if (value('editedAt')) {
+    entry.editedAt = value('editedAt')
+    entry.detectedClicks = csvNumber(value('detectedClicks'))
+  }
+  return entry
+}
+
+const parseCsvBackup = (text) => {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''))
+  const columns = (header || []).map(column => column.trim())
+  const missing = ['id', 'date', 'clicks', 'dose'].filter(column => !columns.includes(column))
+  if (missing.length > 0) {
+    throw new Error(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`)
+  }
+  return {
+    entries: rows.map((fields, i) => ({ entry: csvToEntry(fields, columns), where: `Row ${i + 2}` })),
+    records: {},
+  }
+}
+
+const parseJsonBackup = (text) => {
+  let bundle
+  try {
+    bundle = JSON.parse(text)
+  } catch (e) {
+    throw new Error('Not a valid JSON file')
+  }
+  if (!isObject(bundle) || bundle.format !== BACKUP_FORMAT) {
+    throw new Error('Not a backup from this app')
+  }
+  if (bundle.version > BACKUP_VERSION) {
+    throw new Error('This backup is from a newer version of the app')
+  }
+  if (!Array.isArray(bundle.history)) {
+    throw new Error('The backup has no dose history')
+  }
+  return {
+    entries: bundle.history.map((entry, i) => ({ entry, where: `Entry ${i + 1}` })),
+    records: isObject(bundle.records) ? bundle.records : {},
+  }
+}
+
+// Read an exported file. Returns { entries, invalid, records, parts }, where
+// invalid lists the doses that can't be used as { where, reason } and parts
+// lists the backup parts it holds. Throws if the file can't be read at all.
+export const parseBackup = (text, fileName = '') => {
+  const isJson = fileName.toLowerCase().endsWith('.json') || text.trimStart().startsWith('{')
+  const parsed = isJson ? parseJsonBackup(text) : parseCsvBackup(text)
+
+  const entries = []
+  const invalid = []
+  for (const { entry, where } of parsed.entries) {
+    const reason = validateDose(entry)
+    if (reason) {
+      invalid.push({ where, reason })
+    } else {
+      entries.push(entry)
+    }
+  }
+
+  const records = {}
+  for (const [name, value] of Object.entries(parsed.records)) {
+    if (!RECORD_CHECKS[name]) continue
+    if (RECORD_CHECKS[name](value)) {
+      records[name] = value
+    } else {
+      invalid.push({ where: `Saved ${name}`, reason: 'not readable by this version' })
+    }
+  }
+  const parts = Object.keys(BACKUP_PARTS).filter(part => BACKUP_PARTS[part].records.some(name => name in records))
+
+  return { entries, invalid, records, parts }
+}
+
+// The stored records in the chosen parts of a backup
+export const recordsForParts = (records, parts) =>
+  Object.fromEntries(parts
+    .flatMap(part => BACKUP_PARTS[part].records)
+    .filter(name => name in records)
+    .map(name => [name, records[name]]))
+
+export const createBackup = (history, records, parts, now = new Date()) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: now.toISOString(),
+  history,
+  records: recordsForParts(records, parts),
+})
+
+// Entries match if every exported field does
+const sameEntry = (a, b) => CSV_COLUMNS.every(column => csvValue(a, column) === csvValue(b, column))
+
+// What importing would change: { added, duplicates, conflicts }. added are the
+// entries whose id isn't in the history yet; duplicates counts the rest, of
+// which conflicts differ from the entry already saved (the saved one is kept).
+export const previewImport = (history, entries) => {
+  const existing = new Map(history.map(entry => [entry.id, entry]))
+  const added = []
+  let duplicates = 0
+  let conflicts = 0
+
+  for (const entry of entries) {
+    const match = existing.get(entry.id)
+    if (match) {
+      duplicates++
+      if (!sameEntry(match, entry)) conflicts++
+    } else {
+      existing.set(entry.id, entry)
+      added.push(entry)
+    }
+  }
+  return { added, duplicates, conflicts }
+}
+
+// History with imported entries added, newest first
+export const mergeHistory = (history, added) =>
+  [...history, ...added].sort((a, b) => new Date(b.date) - new Date(a.date))
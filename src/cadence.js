@@ -0,0 +1,77 @@
+// Click cadence
+//
+// People dial a pen at a steady rhythm, so the intervals between clicks in a
+// session show when a detection is probably wrong: two detections far closer
+// together than the running interval are likely one click counted twice, and a
+// gap of about twice the interval likely hides a missed click. The running
+// interval is the median of the last few intervals that looked normal.
+
+// Intervals needed before clicks are judged
+const MIN_INTERVALS = 3
+
+// Intervals the running interval is taken from
+const RECENT_INTERVALS = 8
+
+// A detection closer than this fraction of the interval is a double count
+const DOUBLE_FRACTION = 0.45
+
+// A gap within this range of the interval hides one missed click; longer gaps
+// are pauses
+const MISSED_FROM = 1.6
+const MISSED_TO = 2.4
+
+export const CADENCE_MODES = {
+  off: 'Off',
+  suggest: 'Suggest a correction',
+  auto: 'Correct automatically',
+}
+
+export const DEFAULT_CADENCE_MODE = 'suggest'
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+// Tracks the click interval over a session. add(time) records a detected
+// click at `time` (ms) and returns 'click', 'double' or 'missed'.
+export const createCadence = () => {
+  let intervals = []
+  let lastTime = null
+
+  // Running interval in ms, or null until enough clicks have been heard
+  const getInterval = () =>
+    intervals.length >= MIN_INTERVALS ? median(intervals.slice(-RECENT_INTERVALS)) : null
+
+  const add = (time) => {
+    if (lastTime === null) {
+      lastTime = time
+      return 'click'
+    }
+
+    const gap = time - lastTime
+    const interval = getInterval()
+    // A double count isn't a click, so the next gap is still measured from the last one
+    if (interval !== null && gap < interval * DOUBLE_FRACTION) return 'double'
+
+    lastTime = time
+    if (interval === null) {
+      intervals.push(gap)
+      return 'click'
+    }
+    if (gap >= interval * MISSED_FROM && gap <= interval * MISSED_TO) {
+      intervals.push(gap / 2)
+      return 'missed'
+    }
+    if (gap < interval * MISSED_FROM) intervals.push(gap)
+    return 'click'
+  }
+
+  const reset = () => {
+    intervals = []
+    lastTime = null
+  }
+
+  return { add, getInterval, reset }
+}
@@ -0,0 +1,71 @@
+// Calibration quality
+//
+// Scores how consistent a set of calibration samples is before it becomes a
+// signature. Each sample is matched against a template built from all the
+// other samples; samples that don't resemble the rest (a cough, a bumped
+// table) are dropped as outliers, and the remaining samples' scores give the
+// overall quality.
+
+import { buildTemplate, matchSignature, MIN_CALIBRATION_SAMPLES } from './signature.js'
+
+// Samples scoring below this against the others are rejected as outliers
+export const OUTLIER_SIMILARITY = 0.3
+
+// Signatures below this quality are not saved
+export const MIN_QUALITY = 0.5
+
+// Quality ratings, best first
+export const QUALITY_RATINGS = [
+  { min: 0.75, rating: 'good', label: 'Good' },
+  { min: MIN_QUALITY, rating: 'fair', label: 'Fair' },
+  { min: 0, rating: 'poor', label: 'Poor' },
+]
+
+export const getQualityRating = (quality) =>
+  QUALITY_RATINGS.find(({ min }) => quality >= min)
+
+// Similarity of each sample to a template built from the other samples
+const leaveOneOutScores = (samples) =>
+  samples.map((sample, i) => {
+    const others = samples.filter((_, j) => j !== i).map(other => other.features)
+    return matchSignature(sample.features, buildTemplate(others)).similarity
+  })
+
+// Assess calibration samples ({ energy, features }). Returns per-sample
+// scores (in the order given), the samples kept after outlier rejection, the
+// indices rejected, the overall quality (0-1), its rating, and whether the
+// result is good enough to save. Quality is null until there are enough samples.
+export const assessCalibration = (samples) => {
+  if (samples.length < MIN_CALIBRATION_SAMPLES) {
+    return {
+      scores: samples.map(() => null),
+      kept: samples,
+      rejected: [],
+      quality: null,
+      rating: null,
+      acceptable: false,
+    }
+  }
+
+  const scores = leaveOneOutScores(samples)
+  const rejected = scores
+    .map((score, i) => (score < OUTLIER_SIMILARITY ? i : null))
+    .filter(i => i !== null)
+  const kept = samples.filter((_, i) => !rejected.includes(i))
+
+  // Rescore without the outliers, which would otherwise have widened the template
+  const keptScores = kept.length >= MIN_CALIBRATION_SAMPLES ? leaveOneOutScores(kept) : []
+  const quality = keptScores.length
+    ? keptScores.reduce((acc, score) => acc + score, 0) / keptScores.length
+    : 0
+  const { rating } = getQualityRating(quality)
+
+  return {
+    scores,
+    kept,
+    rejected,
+    quality,
+    rating,
+    acceptable: kept.length >= MIN_CALIBRATION_SAMPLES && quality >= MIN_QUALITY,
+  }
+}
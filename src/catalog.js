@@ -0,0 +1,156 @@
+// Medication and pen catalog
+//
+// The built-in medications plus any the user defines. A user can add their own
+// medications (with a dose ladder) and add pens to any medication, built-in or
+// not. Pens are described the way they're labelled - concentration, fill
+// volume and clicks per pen - and their mg per click is derived from that.
+//
+// The merged catalog has the same shape the pickers have always used:
+// { [key]: { name, pens: [{ label, totalClicks, mgPerClick, concentration,
+// volume }], doses } }, with custom entries flagged custom: true and custom
+// pens carrying an id.
+
+import { getMgPerClick } from './doseMath.js'
+
+export const CATALOG_VERSION = 1
+
+// A built-in pen that delivers `mg` over its totalClicks from `volume` mL
+const builtInPen = (label, { mg, volume, totalClicks }) => {
+  const concentration = mg / volume
+  return { label, totalClicks, volume, concentration, mgPerClick: getMgPerClick({ concentration, volume, totalClicks }) }
+}
+
+// Dosing data for GLP-1 pens
+export const BUILT_IN_MEDICATIONS = {
+  wegovy: {
+    name: 'Wegovy',
+    pens: [
+      builtInPen('0.5mg (1.5mL)', { mg: 1.98, volume: 1.5, totalClicks: 148 }),
+      builtInPen('1.0mg (3mL)', { mg: 1.0, volume: 3, totalClicks: 74 }),
+      builtInPen('1.7mg (3mL)', { mg: 1.7, volume: 3, totalClicks: 75 }),
+      builtInPen('2.4mg (3mL)', { mg: 2.4, volume: 3, totalClicks: 75 }),
+    ],
+    doses: [0.25, 0.5, 1.0, 1.7, 2.0, 2.4],
+  },
+  ozempic: {
+    name: 'Ozempic',
+    pens: [
+      builtInPen('1mg (3mL)', { mg: 1.0, volume: 3, totalClicks: 72 }),
+      builtInPen('2mg (3mL)', { mg: 2.0, volume: 3, totalClicks: 74 }),
+    ],
+    doses: [0.25, 0.5, 0.75, 1.0, 1.5, 2.0],
+  },
+}
+
+export const DEFAULT_MEDICATION = 'wegovy'
+
+const createId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0
+
+// Default label for a custom pen, e.g. "2.68mg/mL (3mL)"
+export const defaultPenLabel = ({ concentration, volume }) => `${concentration}mg/mL (${volume}mL)`
+
+// Problems with a custom pen's values, as messages; empty if it is valid
+export const validatePen = ({ concentration, volume, totalClicks }) => {
+  const errors = []
+  if (!isPositive(concentration)) errors.push('Concentration must be more than 0 mg/mL')
+  if (!isPositive(volume)) errors.push('Volume must be more than 0 mL')
+  if (!Number.isInteger(totalClicks) || totalClicks <= 0) errors.push('Clicks per pen must be a whole number above 0')
+  if (errors.length === 0 && !isPositive(getMgPerClick({ concentration, volume, totalClicks }))) {
+    errors.push('mg per click must be more than 0')
+  }
+  return errors
+}
+
+// Problems with a custom medication, as messages; empty if it is valid
+export const validateMedication = ({ name, doses }) => {
+  const errors = []
+  if (!name.trim()) errors.push('Name is required')
+  if (doses.length === 0) errors.push('Enter at least one dose')
+  if (!doses.every(isPositive)) errors.push('Doses must be numbers above 0')
+  return errors
+}
+
+// Parse a dose ladder typed as "0.25, 0.5, 1" into sorted numbers. Anything
+// that isn't a number is kept as NaN so validation can reject it.
+export const parseDoses = (text) =>
+  text.split(/[\s,]+/).filter(Boolean).map(Number).sort((a, b) => a - b)
+
+export const createMedication = ({ name, doses }) => ({
+  key: `custom-${createId()}`,
+  name: name.trim(),
+  doses,
+})
+
+export const createPenSpec = ({ medication, label = '', concentration, volume, totalClicks }) => ({
+  id: createId(),
+  medication,
+  label: label.trim() || defaultPenLabel({ concentration, volume }),
+  concentration,
+  volume,
+  totalClicks,
+})
+
+// The user's additions: { medications: [{ key, name, doses }], pens: [{ id,
+// medication, label, concentration, volume, totalClicks }] }
+export const EMPTY_CUSTOM_CATALOG = { medications: [], pens: [] }
+
+export const addMedication = (custom, medication) => ({
+  ...custom,
+  medications: [...custom.medications, medication],
+})
+
+export const addPen = (custom, pen) => ({ ...custom, pens: [...custom.pens, pen] })
+
+// Remove a custom medication along with its pens
+export const removeMedication = (custom, key) => ({
+  medications: custom.medications.filter(medication => medication.key !== key),
+  pens: custom.pens.filter(pen => pen.medication !== key),
+})
+
+export const removePenSpec = (custom, id) => ({
+  ...custom,
+  pens: custom.pens.filter(pen => pen.id !== id),
+})
+
+const toCatalogPen = (pen) => ({
+  id: pen.id,
+  label: pen.label,
+  totalClicks: pen.totalClicks,
+  mgPerClick: getMgPerClick(pen),
+  concentration: pen.concentration,
+  volume: pen.volume,
+  custom: true,
+})
+
+// Merge the built-in medications with the user's additions. Medications left
+// without any pens are left out, since nothing could be dosed with them.
+export const buildCatalog = (custom) => {
+  const catalog = {}
+  const customPensFor = (key) => custom.pens.filter(pen => pen.medication === key).map(toCatalogPen)
+
+  for (const [key, medication] of Object.entries(BUILT_IN_MEDICATIONS)) {
+    catalog[key] = { ...medication, pens: [...medication.pens, ...customPensFor(key)] }
+  }
+  for (const { key, name, doses } of custom.medications) {
+    const pens = customPensFor(key)
+    if (pens.length > 0) {
+      catalog[key] = { name, pens, doses, custom: true }
+    }
+  }
+  return catalog
+}
+
+// Parse stored additions, dropping any that no longer validate
+export const parseCatalog = (saved) => {
+  if (!saved || saved.version !== CATALOG_VERSION) {
+    return null
+  }
+  const medications = (saved.medications || []).filter(medication => validateMedication(medication).length === 0)
+  const keys = [...Object.keys(BUILT_IN_MEDICATIONS), ...medications.map(medication => medication.key)]
+  const pens = (saved.pens || []).filter(pen => keys.includes(pen.medication) && validatePen(pen).length === 0)
+  return { medications, pens }
+}
+
+export const serializeCatalog = (custom) => ({ version: CATALOG_VERSION, ...custom })
@@ -0,0 +1,38 @@
+// Click feedback
+//
+// Optional eyes-free feedback while dialing the pen: the count announced every
+// `every` clicks, the clicks left announced within `countdown` clicks of the
+// target, and a vibration pulse for each click. Announcements are spoken
+// ('voice') or played as tones ('tones'). Reaching and passing the target are
+// signalled by the overdose guard (doseGuard.js).
+//
+// Feedback settings are { mode, every, countdown, vibrate }.
+
+export const FEEDBACK_MODES = {
+  off: 'Off',
+  voice: 'Spoken',
+  tones: 'Tones',
+}
+
+export const DEFAULT_FEEDBACK = {
+  mode: 'off',
+  every: 5,
+  countdown: 3,
+  vibrate: false,
+}
+
+export const EVERY_OPTIONS = [0, 1, 2, 5, 10]
+export const COUNTDOWN_OPTIONS = [0, 1, 2, 3, 5]
+
+// What to announce at a click count, as { text, tone }, or null
+export const getAnnouncement = (count, targetClicks, { every, countdown }) => {
+  if (targetClicks > 0) {
+    const left = targetClicks - count
+    if (left <= 0) return null
+    if (left <= countdown) return { text: `${left} to go`, tone: 'pip' }
+  }
+  if (every > 0 && count % every === 0) {
+    return { text: String(count), tone: 'tick' }
+  }
+  return null
+}
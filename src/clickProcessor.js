@@ -0,0 +1,73 @@
+// AudioWorklet processor that runs the onset detector on raw microphone PCM
+// and posts each detected click (or calibration sample) back to the main
+// thread, along with the ambient noise floor every NOISE_REPORT_MS and, while
+// debugging is enabled, the detector's trace entries in batches. Clicks heard
+// while the app is playing its own feedback aren't counted (see outputGate.js)
+// but are posted as gated, since a real click can land in the same moment.
+// Loaded through audioContext.audioWorklet.addModule, so it runs in
+// AudioWorkletGlobalScope where sampleRate and currentFrame are globals.
+
+import { NOISE_REPORT_MS } from './noiseFloor.js'
+import { createOnsetDetector } from './onset.js'
+import { createOutputGate } from './outputGate.js'
+
+// How often buffered trace entries are posted while debugging
+const TRACE_FLUSH_MS = 50
+
+class ClickProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super()
+    const { mode, sensitivity, signature, debug } = options.processorOptions
+    this.trace = debug ? [] : null
+    this.detector = createOnsetDetector({
+      mode,
+      sensitivity,
+      signature,
+      sampleRate,
+      onTrace: entry => this.trace?.push(entry),
+    })
+    this.gate = createOutputGate()
+    this.noiseReportFrames = (NOISE_REPORT_MS / 1000) * sampleRate
+    this.traceFlushFrames = (TRACE_FLUSH_MS / 1000) * sampleRate
+    this.lastNoiseReport = -Infinity
+    this.lastTraceFlush = -Infinity
+
+    this.port.onmessage = ({ data }) => {
+      if (data.type === 'reset') {
+        this.detector.reset()
+        this.gate.reset()
+        this.lastNoiseReport = -Infinity
+      } else if (data.type === 'debug') {
+        this.trace = data.enabled ? [] : null
+      } else {
+        this.gate.handleMessage(data)
+      }
+    }
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0]
+    if (channel) {
+      for (const event of this.detector.process(channel, currentFrame)) {
+        if (this.gate.isGated(event.time)) {
+          this.trace?.push({ type: 'marker', time: event.time, accepted: false, reason: 'feedback', spike: event.spike, similarity: null })
+          this.port.postMessage({ type: 'gated', event })
+        } else {
+          this.port.postMessage({ type: 'event', event })
+        }
+      }
+      if (currentFrame - this.lastNoiseReport >= this.noiseReportFrames) {
+        this.lastNoiseReport = currentFrame
+        this.port.postMessage({ type: 'noise', noise: this.detector.getNoise() })
+      }
+      if (this.trace && currentFrame - this.lastTraceFlush >= this.traceFlushFrames) {
+        this.lastTraceFlush = currentFrame
+        this.port.postMessage({ type: 'trace', entries: this.trace })
+        this.trace = []
+      }
+    }
+    return true
+  }
+}
+
+registerProcessor('click-processor', ClickProcessor)
@@ -0,0 +1,258 @@
+// Click detection engine
+//
+// Pure detection logic with no React or Web Audio dependencies. Each detector
+// is fed byte spectrum frames (as returned by AnalyserNode.getByteFrequencyData)
+// together with a timestamp in milliseconds, and reports a click event when a
+// frame is accepted. The same detectors run on live mic input, on recorded
+// files and in unit tests.
+//
+// A frame's spike is how far its energy rises above the ambient noise floor
+// (see noiseFloor.js); its rise is how much it jumped from the smoothed
+// previous energy. A click needs both, so sustained noise above the floor is
+// not counted over and over.
+
+import { extractFeatures, findOnset } from './features.js'
+import { createNoiseFloor } from './noiseFloor.js'
+import { MATCH_THRESHOLD, matchSignature } from './signature.js'
+
+export const DEBOUNCE_MS = 150
+export const CALIBRATION_DEBOUNCE_MS = 200
+export const CALIBRATION_SPIKE = 0.08
+
+// Lowest spike scored while testing a signature, well below any usable sensitivity
+export const TEST_SPIKE = 0.02
+
+// Weight given to the current frame when smoothing the previous energy
+export const SMOOTHING = 0.3
+
+// Fraction of the spike threshold a frame must also jump by to be an onset
+export const ONSET_FRACTION = 0.5
+
+// Analyser settings each detection mode expects its spectrum frames to come from
+export const ANALYSER_SETTINGS = {
+  simple: { fftSize: 256, smoothingTimeConstant: 0.3 },
+  advanced: { fftSize: 512, smoothingTimeConstant: 0.1 },
+  calibration: { fftSize: 512, smoothingTimeConstant: 0.1 },
+  test: { fftSize: 512, smoothingTimeConstant: 0.1 },
+}
+
+// Average energy of a byte spectrum, normalized to 0-1
+export const getEnergy = (spectrum) => {
+  let sum = 0
+  for (let i = 0; i < spectrum.length; i++) {
+    sum += spectrum[i]
+  }
+  return sum / spectrum.length / 255
+}
+
+// Low/high half energy split, used to reject voice when no signature exists
+export const isLikelyVoice = (spectrum) => {
+  const midPoint = Math.floor(spectrum.length / 2)
+  let highSum = 0
+  let lowSum = 0
+
+  for (let i = 0; i < midPoint; i++) {
+    lowSum += spectrum[i]
+  }
+  for (let i = midPoint; i < spectrum.length; i++) {
+    highSum += spectrum[i]
+  }
+
+  const highEnergy = highSum / (spectrum.length - midPoint) / 255
+  const lowEnergy = lowSum / midPoint / 255
+  return lowEnergy > highEnergy * 1.5 && lowEnergy > 0.1
+}
+
+// Whether a frame ({ spike, rise }) is an onset clearing the given threshold
+export const isOnset = ({ spike, rise }, threshold) =>
+  spike > threshold && rise > threshold * ONSET_FRACTION
+
+// Each detection function takes a frame { spectrum, waveform, onset,
+// sampleRate, energy, spike, rise } and returns a verdict { accepted, reason }
+// plus any extra event fields, such as the similarity to the signature.
+// reason says why a frame was rejected: 'threshold', 'voice' or 'similarity'.
+// waveform, onset and sampleRate are only needed for signature matching.
+
+// Simple detection - basic volume spike over the ambient level
+export const detectSimple = (frame, { sensitivity }) => {
+  if (!isOnset(frame, sensitivity)) {
+    return { accepted: false, reason: 'threshold' }
+  }
+  return { accepted: true }
+}
+
+// Advanced detection - match the calibrated signature, or fall back to
+// voice-rejecting spike detection if there is no signature. A signature match
+// only needs half the spike.
+export const detectAdvanced = (frame, { sensitivity, signature }) => {
+  if (signature) {
+    if (!isOnset(frame, sensitivity * 0.5)) {
+      return { accepted: false, reason: 'threshold' }
+    }
+
+    const { similarity, distance } = matchSignature(extractFeatures(frame), signature)
+
+    // High similarity to signature = likely a pen click
+    if (similarity > MATCH_THRESHOLD) {
+      return { accepted: true, similarity, distance }
+    }
+    return { accepted: false, reason: 'similarity', similarity, distance }
+  }
+
+  if (!isOnset(frame, sensitivity)) {
+    return { accepted: false, reason: 'threshold' }
+  }
+  if (isLikelyVoice(frame.spectrum)) {
+    return { accepted: false, reason: 'voice' }
+  }
+  return { accepted: true }
+}
+
+// Lowest spike that could be a click in this mode, used to hold the noise floor
+export const candidateThreshold = (mode, { sensitivity, signature }) =>
+  mode === 'advanced' && signature ? sensitivity * 0.5 : sensitivity
+
+const DETECTORS = {
+  simple: detectSimple,
+  advanced: detectAdvanced,
+}
+
+// Create a click detector for the given mode ('simple' or 'advanced').
+// process(spectrum, time, waveform) returns a click event { time, energy,
+// spike, rise } or null. waveform is the analyser's time-domain data for the
+// same frame (getFloatTimeDomainData); without it signatures are matched on
+// spectral features only. getNoise() returns the ambient noise floor
+// ({ floor, spread, ready }); no clicks are reported until it is ready.
+//
+// onTrace, if given, is called for every frame with { type: 'frame', time,
+// energy, floor, threshold } and for every onset with { type: 'marker', time,
+// accepted, reason, spike, similarity }, where reason can also be 'debounce'.
+export const createDetector = ({
+  mode = 'simple',
+  sensitivity = 0.15,
+  signature = null,
+  sampleRate = null,
+  onTrace = null,
+} = {}) => {
+  const detect = DETECTORS[mode]
+  if (!detect) {
+    throw new Error(`Unknown detection mode: ${mode}`)
+  }
+
+  const options = { sensitivity, signature }
+  const threshold = candidateThreshold(mode, options)
+  const noise = createNoiseFloor()
+  let previousEnergy = 0
+  let lastClickTime = -Infinity
+  // Whether the previous frame was also an onset, so a click's tail is marked once
+  let wasOnset = false
+
+  const process = (spectrum, time, waveform = null) => {
+    const energy = getEnergy(spectrum)
+    const rise = energy - previousEnergy
+    noise.update(energy, time)
+    const { floor, ready } = noise.get()
+    const spike = energy - floor
+    let event = null
+    onTrace?.({ type: 'frame', time, energy, floor, threshold: ready ? floor + threshold : null })
+
+    if (ready && isOnset({ spike, rise }, threshold)) {
+      noise.hold(time)
+
+      if (time - lastClickTime > DEBOUNCE_MS) {
+        const onset = waveform ? findOnset(waveform) : 0
+        const { accepted, reason, ...match } = detect({ spectrum, waveform, onset, sampleRate, energy, spike, rise }, options)
+        if (accepted) {
+          event = { time, energy, spike, rise, ...match }
+          lastClickTime = time
+        }
+        onTrace?.({ type: 'marker', time, accepted, reason, spike, similarity: match.similarity ?? null })
+      } else if (!wasOnset) {
+        onTrace?.({ type: 'marker', time, accepted: false, reason: 'debounce', spike, similarity: null })
+      }
+      wasOnset = true
+    } else {
+      wasOnset = false
+    }
+
+    previousEnergy = SMOOTHING * energy + (1 - SMOOTHING) * previousEnergy
+    return event
+  }
+
+  const reset = () => {
+    previousEnergy = 0
+    lastClickTime = -Infinity
+    wasOnset = false
+    noise.reset()
+  }
+
+  return { mode, process, reset, getNoise: noise.get }
+}
+
+// Create a detector that reports every onset over spikeThreshold, debounced,
+// with the features of the frame and, given a signature, how well it matches.
+// process(spectrum, time, waveform) returns a candidate { time, energy, spike,
+// rise, features, similarity, distance } or null.
+export const createCandidateDetector = ({
+  spikeThreshold,
+  debounce = DEBOUNCE_MS,
+  signature = null,
+  sampleRate = null,
+}) => {
+  const noise = createNoiseFloor()
+  let previousEnergy = 0
+  let lastClickTime = -Infinity
+
+  const process = (spectrum, time, waveform = null) => {
+    const energy = getEnergy(spectrum)
+    const rise = energy - previousEnergy
+    noise.update(energy, time)
+    const { floor, ready } = noise.get()
+    const spike = energy - floor
+    let candidate = null
+
+    if (ready && isOnset({ spike, rise }, spikeThreshold)) {
+      noise.hold(time)
+
+      if (time - lastClickTime > debounce) {
+        const onset = waveform ? findOnset(waveform) : 0
+        const features = extractFeatures({ spectrum, waveform, onset, sampleRate })
+        candidate = { time, energy, spike, rise, features }
+        if (signature) {
+          Object.assign(candidate, matchSignature(features, signature))
+        }
+        lastClickTime = time
+      }
+    }
+
+    previousEnergy = SMOOTHING * energy + (1 - SMOOTHING) * previousEnergy
+    return candidate
+  }
+
+  const reset = () => {
+    previousEnergy = 0
+    lastClickTime = -Infinity
+    noise.reset()
+  }
+
+  return { process, reset, getNoise: noise.get }
+}
+
+// Create a detector that collects calibration samples
+export const createCalibrationDetector = ({ sampleRate = null } = {}) =>
+  createCandidateDetector({
+    spikeThreshold: CALIBRATION_SPIKE,
+    debounce: CALIBRATION_DEBOUNCE_MS,
+    sampleRate,
+  })
+
+// Create a detector that scores every spike against a signature, for testing it
+export const createTestDetector = ({ signature, sampleRate = null }) =>
+  createCandidateDetector({ spikeThreshold: TEST_SPIKE, signature, sampleRate })
+
+// Create the frame detector for any mode: 'simple', 'advanced', 'calibration' or 'test'
+export const createFrameDetector = (mode, options) => {
+  if (mode === 'calibration') return createCalibrationDetector(options)
+  if (mode === 'test') return createTestDetector(options)
+  return createDetector({ mode, ...options })
+}
@@ -0,0 +1,43 @@
+// Overdose guard
+//
+// Every click past the target delivers extra medication, so the counter
+// escalates as the target gets close: a warning a few clicks out, a signal at
+// the target, and an alarm on every click beyond it. Listening can also stop
+// by itself at the target.
+//
+// Guard settings are { warnClicks, alarm, autoStop }; warnClicks of 0 turns
+// the early warning off.
+
+export const DEFAULT_GUARD = {
+  warnClicks: 2,
+  alarm: true,
+  autoStop: false,
+}
+
+export const WARN_CLICK_OPTIONS = [0, 1, 2, 3, 5]
+
+// Where a count stands against the target: 'counting', 'approaching',
+// 'reached' or 'over'
+export const getGuardStage = (clicks, targetClicks, warnClicks) => {
+  if (targetClicks <= 0) return 'counting'
+  if (clicks > targetClicks) return 'over'
+  if (clicks === targetClicks) return 'reached'
+  if (warnClicks > 0 && clicks >= targetClicks - warnClicks) return 'approaching'
+  return 'counting'
+}
+
+// What a count rising from `previous` to `clicks` should signal: 'approaching'
+// within warnClicks of the target, 'reached' on arriving at it, 'over' for a
+// count past it (including one that jumps past it in one go), or null
+export const getGuardSignal = (previous, clicks, targetClicks, warnClicks) => {
+  if (targetClicks <= 0 || clicks <= previous) return null
+  if (previous < targetClicks && clicks >= targetClicks) {
+    return clicks > targetClicks ? 'over' : 'reached'
+  }
+  const stage = getGuardStage(clicks, targetClicks, warnClicks)
+  return stage === 'counting' ? null : stage
+}
+
+// Clicks counted beyond the target
+export const overTargetClicks = (clicks, targetClicks) =>
+  targetClicks > 0 ? Math.max(0, clicks - targetClicks) : 0
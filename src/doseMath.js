@@ -0,0 +1,77 @@
+// Dose calculations
+//
+// Converts between clicks and the units a dose can be expressed in - mg of
+// medication, mL of solution and U-100 insulin syringe units - for a pen
+// { totalClicks, mgPerClick, volume, concentration }. Only pens whose volume
+// is known can be expressed in mL and syringe units.
+//
+// A pen can only deliver whole clicks, so planDose reports the click count
+// nearest to a target and how far the dose it delivers is from that target.
+
+// Insulin syringe units per mL (U-100 syringes)
+export const UNITS_PER_ML = 100
+
+export const DOSE_UNITS = {
+  mg: { label: 'mg', name: 'Milligrams', decimals: 2 },
+  mL: { label: 'mL', name: 'Millilitres', decimals: 3 },
+  units: { label: 'units', name: 'Syringe units (U-100)', decimals: 1 },
+  clicks: { label: 'clicks', name: 'Clicks', decimals: 0 },
+}
+
+// mg delivered per click by a pen of the given concentration (mg/mL), fill
+// volume (mL) and clicks per pen
+export const getMgPerClick = ({ concentration, volume, totalClicks }) =>
+  (concentration * volume) / totalClicks
+
+// mL delivered per click, or null if the pen's volume isn't known
+export const getMlPerClick = ({ volume, totalClicks }) =>
+  volume ? volume / totalClicks : null
+
+// Concentration in mg/mL, or null if the pen's volume isn't known
+export const getConcentration = (pen) => {
+  if (pen.concentration) return pen.concentration
+  return pen.volume ? (pen.mgPerClick * pen.totalClicks) / pen.volume : null
+}
+
+// Units a pen's doses can be shown in
+export const availableUnits = (pen) =>
+  Object.keys(DOSE_UNITS).filter(unit => pen.volume || (unit !== 'mL' && unit !== 'units'))
+
+// Amount of one click in the given unit
+const perClick = (pen, unit) => {
+  if (unit === 'mg') return pen.mgPerClick
+  if (unit === 'clicks') return 1
+  const mlPerClick = getMlPerClick(pen)
+  if (mlPerClick === null) {
+    throw new Error(`Pen volume is needed to convert to ${unit}`)
+  }
+  return unit === 'mL' ? mlPerClick : mlPerClick * UNITS_PER_ML
+}
+
+// Dose delivered by a number of clicks, in the given unit
+export const clicksTo = (clicks, unit, pen) => clicks * perClick(pen, unit)
+
+// Clicks needed for an amount in the given unit, unrounded
+export const toClicks = (amount, unit, pen) => amount / perClick(pen, unit)
+
+// Convert an amount from one unit to another
+export const convertDose = (amount, from, to, pen) => clicksTo(toClicks(amount, from, pen), to, pen)
+
+// Nearest whole click count to a target dose in mg, the dose it actually
+// delivers, and the error from the target in mg and as a fraction of it
+export const planDose = (targetMg, pen) => {
+  const exactClicks = toClicks(targetMg, 'mg', pen)
+  const clicks = Math.round(exactClicks)
+  const deliveredMg = clicksTo(clicks, 'mg', pen)
+  return {
+    clicks,
+    exactClicks,
+    deliveredMg,
+    errorMg: deliveredMg - targetMg,
+    errorFraction: targetMg > 0 ? (deliveredMg - targetMg) / targetMg : 0,
+  }
+}
+
+// Format an amount with its unit label, e.g. "0.25 mg" or "12.5 units"
+export const formatDose = (amount, unit) =>
+  `${amount.toFixed(DOSE_UNITS[unit].decimals)} ${DOSE_UNITS[unit].label}`
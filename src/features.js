@@ -0,0 +1,135 @@
+// Click feature extraction
+//
+// Describes a single click by its spectral shape (eight band profile and
+// spectral centroid) and its time-domain envelope (attack and decay times,
+// zero-crossing rate). Spectral features come from a byte spectrum as
+// returned by AnalyserNode.getByteFrequencyData; time-domain features need
+// the PCM waveform around the click and its sample rate, and are null when
+// that is not available.
+
+export const BAND_COUNT = 8
+
+// Envelope level, relative to the peak, at which the click counts as decayed
+const DECAY_LEVEL = 0.25
+
+// Envelope resolution used when measuring decay
+const ENVELOPE_STEP_MS = 0.5
+
+// Divide spectrum into bands for signature matching
+export const getFrequencyProfile = (spectrum, bandCount = BAND_COUNT) => {
+  const bandSize = Math.floor(spectrum.length / bandCount)
+  const bands = []
+
+  for (let b = 0; b < bandCount; b++) {
+    let sum = 0
+    for (let i = b * bandSize; i < (b + 1) * bandSize; i++) {
+      sum += spectrum[i]
+    }
+    bands.push(sum / bandSize / 255)
+  }
+
+  return bands
+}
+
+// Band profile scaled to sum to 1, so it describes the click's tone rather
+// than how loud it was
+export const getProfileShape = (profile) => {
+  const total = profile.reduce((acc, value) => acc + value, 0)
+  if (total === 0) return profile.map(() => 1 / profile.length)
+  return profile.map(value => value / total)
+}
+
+// Spectral centroid as a fraction of the spectrum (0 = lowest bin, 1 = Nyquist)
+export const getSpectralCentroid = (spectrum) => {
+  let weighted = 0
+  let total = 0
+  for (let i = 0; i < spectrum.length; i++) {
+    weighted += i * spectrum[i]
+    total += spectrum[i]
+  }
+  if (total === 0) return 0
+  return weighted / total / (spectrum.length - 1)
+}
+
+// Centroid estimated from a band profile, for signatures saved without a spectrum
+export const getProfileCentroid = (profile) => {
+  const total = profile.reduce((acc, value) => acc + value, 0)
+  if (total === 0) return 0
+  const weighted = profile.reduce((acc, value, b) => acc + ((b + 0.5) / profile.length) * value, 0)
+  return weighted / total
+}
+
+// Attack (onset to peak) and decay (peak until the envelope falls to
+// DECAY_LEVEL of the peak) times in ms
+export const getEnvelopeTimes = (waveform, onset, sampleRate) => {
+  let peak = 0
+  let peakIndex = onset
+  for (let i = onset; i < waveform.length; i++) {
+    const value = Math.abs(waveform[i])
+    if (value > peak) {
+      peak = value
+      peakIndex = i
+    }
+  }
+
+  const step = Math.max(1, Math.round((ENVELOPE_STEP_MS / 1000) * sampleRate))
+  let decayIndex = waveform.length
+  for (let start = peakIndex + 1; start < waveform.length; start += step) {
+    let max = 0
+    for (let i = start; i < Math.min(start + step, waveform.length); i++) {
+      max = Math.max(max, Math.abs(waveform[i]))
+    }
+    if (max < peak * DECAY_LEVEL) {
+      decayIndex = start
+      break
+    }
+  }
+
+  return {
+    attack: ((peakIndex - onset) / sampleRate) * 1000,
+    decay: ((decayIndex - peakIndex) / sampleRate) * 1000,
+  }
+}
+
+// Fraction of consecutive samples after the onset that change sign
+export const getZeroCrossingRate = (waveform, onset = 0) => {
+  if (waveform.length - onset < 2) return 0
+  let crossings = 0
+  for (let i = onset + 1; i < waveform.length; i++) {
+    if ((waveform[i] >= 0) !== (waveform[i - 1] >= 0)) {
+      crossings++
+    }
+  }
+  return crossings / (waveform.length - onset - 1)
+}
+
+// Extract the feature set for one click. onset is the index in waveform where
+// the click starts.
+export const extractFeatures = ({ spectrum, waveform = null, onset = 0, sampleRate = null }) => {
+  const features = {
+    profile: getProfileShape(getFrequencyProfile(spectrum)),
+    centroid: getSpectralCentroid(spectrum),
+    attack: null,
+    decay: null,
+    zcr: null,
+  }
+
+  if (waveform && sampleRate) {
+    Object.assign(features, getEnvelopeTimes(waveform, onset, sampleRate))
+    features.zcr = getZeroCrossingRate(waveform, onset)
+  }
+
+  return features
+}
+
+// First sample that reaches half the waveform's peak, i.e. where the transient starts
+export const findOnset = (waveform) => {
+  let peak = 0
+  for (let i = 0; i < waveform.length; i++) {
+    peak = Math.max(peak, Math.abs(waveform[i]))
+  }
+  for (let i = 0; i < waveform.length; i++) {
+    if (Math.abs(waveform[i]) >= peak / 2) return i
+  }
+  return 0
+}
@@ -0,0 +1,103 @@
+// Dose history entries
+//
+// An entry is saved after each dose as { id, date, medication, penStrength,
+// clicks, dose, targetDose, targetClicks, overTarget, penId }, where
+// overTarget flags a dose counted past its target. It can carry annotations:
+// site (a key of INJECTION_SITES in siteRotation.js), sideEffects (array),
+// weight, weightUnit and notes. Correcting the dose itself (date, pen, clicks
+// or dose) marks the entry edited with editedAt and keeps the click count the
+// detector originally counted as detectedClicks.
+
+import { debitPen } from './penInventory.js'
+
+export const SIDE_EFFECTS = [
+  'Nausea',
+  'Vomiting',
+  'Diarrhea',
+  'Constipation',
+  'Heartburn',
+  'Headache',
+  'Fatigue',
+  'Injection site reaction',
+]
+
+export const WEIGHT_UNITS = ['kg', 'lb']
+
+// Fields that describe the dose itself, as opposed to annotations
+const DOSE_FIELDS = ['date', 'medication', 'penStrength', 'clicks', 'dose']
+
+// An ISO date as a datetime-local input value, in local time
+export const toLocalInput = (isoString) => {
+  const date = new Date(isoString)
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset())
+  return date.toISOString().slice(0, 16)
+}
+
+// Form values for editing an entry; numbers are kept as text while typing
+export const entryForm = (entry) => ({
+  date: toLocalInput(entry.date),
+  medication: entry.medication,
+  penStrength: entry.penStrength,
+  clicks: String(entry.clicks),
+  dose: String(entry.dose),
+  site: entry.site || '',
+  sideEffects: entry.sideEffects || [],
+  weight: entry.weight ? String(entry.weight) : '',
+  weightUnit: entry.weightUnit || WEIGHT_UNITS[0],
+  notes: entry.notes || '',
+})
+
+// Problems with an edit form, as messages; empty if it is valid
+export const validateEntryForm = ({ date, clicks, dose, weight }) => {
+  const errors = []
+  if (!date || isNaN(new Date(date).getTime())) errors.push('Enter the date and time of the dose')
+  if (!/^\d+$/.test(clicks.trim())) errors.push('Clicks must be a whole number')
+  if (dose.trim() === '' || isNaN(Number(dose)) || Number(dose) < 0) errors.push('Dose must be a number of mg')
+  if (weight.trim() !== '' && !(Number(weight) > 0)) errors.push('Weight must be a number above 0, or left empty')
+  return errors
+}
+
+// An entry with an edit form applied. Changing the pen unlinks the registered
+// pen it was drawn from, since the dose no longer came from it.
+export const applyEntryForm = (entry, form, now = new Date()) => {
+  const updated = {
+    ...entry,
+    medication: form.medication,
+    penStrength: form.penStrength,
+    clicks: parseInt(form.clicks, 10),
+    dose: Number(form.dose),
+    site: form.site || null,
+    sideEffects: form.sideEffects,
+    weight: form.weight.trim() === '' ? null : Number(form.weight),
+    weightUnit: form.weightUnit,
+    notes: form.notes.trim(),
+  }
+  if (form.date !== toLocalInput(entry.date)) {
+    updated.date = new Date(form.date).toISOString()
+  }
+  if (updated.medication !== entry.medication || updated.penStrength !== entry.penStrength) {
+    updated.penId = null
+  }
+  if (Number.isInteger(entry.targetClicks)) {
+    updated.overTarget = entry.targetClicks > 0 && updated.clicks > entry.targetClicks
+  }
+
+  if (!DOSE_FIELDS.some(field => updated[field] !== entry[field])) {
+    return updated
+  }
+  return {
+    ...updated,
+    editedAt: now.toISOString(),
+    detectedClicks: entry.detectedClicks ?? entry.clicks,
+  }
+}
+
+// Pen inventory after an entry changes: the clicks of the entry as it was go
+// back to its pen, and the clicks of the entry as it is now are taken from
+// its pen. Either may be null, for an entry being added or deleted.
+export const rebookEntryClicks = (pens, before, after) => {
+  let updated = pens
+  if (before?.penId) updated = debitPen(updated, before.penId, -before.clicks)
+  if (after?.penId) updated = debitPen(updated, after.penId, after.clicks)
+  return updated
+}
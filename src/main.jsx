@@ -2,9 +2,39 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './serviceWorker.js'
+import { loadStoredData, watchStorage } from './storage.js'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+registerServiceWorker().catch(err => console.warn('Service worker registration failed:', err))
+
+watchStorage({
+  // Saved data can't be opened until older tabs let go of it
+  blocked: () => {
+    document.getElementById('root').textContent = 'Close other tabs of this app to finish updating its saved data.'
+  },
+  // A newer version opened in another tab; this one can't save until it reloads
+  versionChange: () => {
+    if (window.confirm('This app was updated in another tab. Reload to keep saving your data?')) {
+      window.location.reload()
+    }
+  },
+})
+
+// Start with empty data if storage can't be opened, and say why
+const loadOrEmpty = () => loadStoredData().catch(err => {
+  console.error('Failed to open storage:', err)
+  return {
+    history: [],
+    records: {},
+    problems: [],
+    error: `Could not open saved data: ${err.message}. Changes won't be saved.`,
+  }
+})
+
+loadOrEmpty().then(stored => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App stored={stored} />
+    </StrictMode>,
+  )
+})
@@ -0,0 +1,45 @@
+// Microphone input
+//
+// Which input device to listen on, and the browser's voice processing for it.
+// Echo cancellation, noise suppression and automatic gain control suit calls
+// but flatten the sharp transient of a pen click, so each can be turned off.
+// The choice is remembered per device, since a phone's built-in microphone
+// and a headset often behave differently.
+//
+// Processing settings are kept by device id, with '' for the browser's
+// default input: { [deviceId]: { echoCancellation, noiseSuppression,
+// autoGainControl } }.
+
+export const PROCESSING_OPTIONS = {
+  echoCancellation: 'Echo cancellation',
+  noiseSuppression: 'Noise suppression',
+  autoGainControl: 'Automatic gain control',
+}
+
+// What browsers do by default
+export const DEFAULT_PROCESSING = {
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true,
+}
+
+// Processing chosen for a device
+export const processingFor = (processing, deviceId) => ({
+  ...DEFAULT_PROCESSING,
+  ...processing[deviceId],
+})
+
+// getUserMedia audio constraints for a device ('' for the default input)
+export const audioConstraints = (deviceId, processing) => ({
+  ...(deviceId && { deviceId: { exact: deviceId } }),
+  ...processingFor(processing, deviceId),
+})
+
+// Audio inputs as { deviceId, label }. Browsers only give labels once the
+// microphone is allowed, so unlabelled inputs are numbered.
+export const listInputDevices = async () => {
+  const devices = await navigator.mediaDevices.enumerateDevices()
+  return devices
+    .filter(device => device.kind === 'audioinput' && device.deviceId && device.deviceId !== 'default')
+    .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Microphone ${i + 1}` }))
+}
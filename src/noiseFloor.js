@@ -0,0 +1,101 @@
+// Ambient noise floor
+//
+// Tracks the background level of the room so the detectors can measure clicks
+// against it: the sensitivity setting is a margin above the noise floor, not
+// an absolute spike size. The first MEASURE_MS after listening starts are
+// spent measuring before any click is accepted; after that the floor keeps
+// adapting to the last few seconds of audio.
+//
+// Levels are averaged into short buckets and the floor is a low percentile of
+// the recent buckets, so occasional clicks don't raise it. Each detected click
+// also holds the tracker for a moment so the click's own tail is left out.
+
+export const MEASURE_MS = 1000
+export const NOISE_REPORT_MS = 250
+
+const WINDOW_MS = 3000
+const BUCKET_MS = 50
+const HOLD_MS = 250
+const FLOOR_PERCENTILE = 0.2
+const SPREAD_PERCENTILE = 0.8
+
+// Above this, a click needs more headroom than the 0-1 level scale has left
+export const MAX_THRESHOLD = 0.9
+
+// Fluctuation, as a fraction of the sensitivity, above which noise may be miscounted
+const NOISY_SPREAD = 0.5
+
+const percentile = (sorted, fraction) =>
+  sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))]
+
+// Create a noise floor tracker. update(level, time) takes every level the
+// detector computes (0-1, time in ms); get() returns { floor, spread, ready },
+// where spread is how far the noise typically rises above the floor.
+export const createNoiseFloor = () => {
+  let startTime = null
+  let holdUntil = -Infinity
+  let bucket = null
+  let history = []
+  let floor = 0
+  let spread = 0
+  let ready = false
+
+  const recompute = () => {
+    const sorted = history.map(entry => entry.level).sort((a, b) => a - b)
+    floor = percentile(sorted, FLOOR_PERCENTILE)
+    spread = percentile(sorted, SPREAD_PERCENTILE) - floor
+  }
+
+  const update = (level, time) => {
+    if (startTime === null) {
+      startTime = time
+      floor = level
+    }
+    if (time < holdUntil) return
+
+    if (!bucket) {
+      bucket = { start: time, sum: 0, count: 0 }
+    }
+    bucket.sum += level
+    bucket.count++
+
+    if (time - bucket.start >= BUCKET_MS) {
+      history.push({ time, level: bucket.sum / bucket.count })
+      history = history.filter(entry => time - entry.time <= WINDOW_MS)
+      bucket = null
+      recompute()
+    }
+
+    ready = ready || time - startTime >= MEASURE_MS
+  }
+
+  // Leave the next HOLD_MS out of the floor, e.g. after a click
+  const hold = (time) => {
+    holdUntil = time + HOLD_MS
+    bucket = null
+  }
+
+  const get = () => ({ floor, spread, ready })
+
+  const reset = () => {
+    startTime = null
+    holdUntil = -Infinity
+    bucket = null
+    history = []
+    floor = 0
+    spread = 0
+    ready = false
+  }
+
+  return { update, hold, get, reset }
+}
+
+// Whether the room allows reliable counting at this sensitivity:
+// 'measuring', 'ok', 'noisy' (fluctuating enough to cause miscounts) or
+// 'too-loud' (clicks can't rise far enough above the floor)
+export const getNoiseStatus = ({ floor, spread, ready }, sensitivity) => {
+  if (!ready) return 'measuring'
+  if (floor + sensitivity > MAX_THRESHOLD) return 'too-loud'
+  if (spread > sensitivity * NOISY_SPREAD) return 'noisy'
+  return 'ok'
+}
@@ -0,0 +1,84 @@
+// Local notifications
+//
+// Shows dose reminders through the service worker registration so they carry
+// actions (snooze) and work without a push server. Where the browser supports
+// notification triggers the reminder is scheduled ahead and fires even with
+// the app closed; elsewhere the app sets a timer while it's open and, when
+// opened again, shows any reminder that came due in the meantime.
+
+import { registerServiceWorker } from './serviceWorker.js'
+
+export const REMINDER_TAG = 'dose-reminder'
+
+// setTimeout can't wait longer than this; longer timers are set again on the next load
+const MAX_TIMEOUT_MS = 2 ** 31 - 1
+
+export const notificationsSupported = () =>
+  'Notification' in window && 'serviceWorker' in navigator
+
+export const triggersSupported = () =>
+  notificationsSupported() && 'showTrigger' in Notification.prototype && 'TimestampTrigger' in window
+
+// The active service worker registration. Rejects if the worker couldn't be
+// registered, where serviceWorker.ready would wait forever.
+const getRegistration = async () => {
+  try {
+    await registerServiceWorker()
+  } catch (err) {
+    throw new Error(`the service worker that shows reminders couldn't start (${err.message})`)
+  }
+  return navigator.serviceWorker.ready
+}
+
+// Ask for notification permission; resolves to true if granted
+export const requestNotificationPermission = async () => {
+  if (!notificationsSupported()) return false
+  if (Notification.permission === 'granted') return true
+  return (await Notification.requestPermission()) === 'granted'
+}
+
+const reminderOptions = ({ body, snoozeMinutes }) => ({
+  body,
+  tag: REMINDER_TAG,
+  renotify: true,
+  requireInteraction: true,
+  data: { snoozeMinutes },
+  actions: [
+    { action: 'snooze', title: `Snooze ${snoozeMinutes >= 60 ? `${snoozeMinutes / 60}h` : `${snoozeMinutes}m`}` },
+    { action: 'open', title: 'Open' },
+  ],
+})
+
+// Remove a shown or scheduled reminder
+export const cancelReminder = async () => {
+  if (!notificationsSupported()) return
+  // Without a service worker no reminder can have been scheduled
+  const registration = await getRegistration().catch(() => null)
+  if (!registration) return
+  const notifications = await registration.getNotifications({ tag: REMINDER_TAG, includeTriggered: true })
+  notifications.forEach(notification => notification.close())
+}
+
+// Show a reminder at `time` (ms). onShown is called when it has been shown,
+// or right away when the browser scheduled it, and onError if a reminder shown
+// from the page timer fails. Returns a function that cancels the page timer,
+// if one was needed.
+export const scheduleReminder = async (time, { title, body, snoozeMinutes }, onShown, onError) => {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return () => {}
+  const registration = await getRegistration()
+  const options = reminderOptions({ body, snoozeMinutes })
+
+  if (triggersSupported() && time > Date.now()) {
+    await registration.showNotification(title, { ...options, showTrigger: new window.TimestampTrigger(time) })
+    onShown()
+    return () => {}
+  }
+
+  const delay = time - Date.now()
+  if (delay > MAX_TIMEOUT_MS) return () => {}
+
+  const timer = setTimeout(() => {
+    registration.showNotification(title, options).then(onShown, onError)
+  }, Math.max(0, delay))
+  return () => clearTimeout(timer)
+}
@@ -0,0 +1,203 @@
+// Time-domain onset detection on raw PCM
+//
+// Runs the Simple and Advanced detectors, calibration sampling and signature
+// testing on audio blocks instead of analyser frames, so clicks are timed to
+// the sample and debounced in audio time. This is the engine behind the
+// AudioWorklet (clickProcessor.js) and offline replay.
+//
+// Each block's RMS level is mapped onto 0-1 across LEVEL_RANGE and compared
+// against the ambient noise floor and a smoothed previous level, mirroring the
+// spike and rise the frame-based detectors use, so the sensitivity setting
+// keeps its meaning.
+// Every mode but Simple then takes a window starting just before the onset
+// and extracts the click's features from it.
+
+import {
+  ANALYSER_SETTINGS,
+  CALIBRATION_DEBOUNCE_MS,
+  CALIBRATION_SPIKE,
+  candidateThreshold,
+  DEBOUNCE_MS,
+  detectAdvanced,
+  detectSimple,
+  isOnset,
+  SMOOTHING,
+  TEST_SPIKE,
+} from './detector.js'
+import { extractFeatures, findOnset } from './features.js'
+import { createNoiseFloor } from './noiseFloor.js'
+import { matchSignature } from './signature.js'
+import { createSpectrumAnalyser } from './spectrum.js'
+
+// dBFS range mapped onto a 0-1 level
+const LEVEL_RANGE = { min: -90, max: 0 }
+
+// The frame-based detectors smooth once per animation frame
+const REFERENCE_FRAME_MS = 1000 / 60
+
+// Samples before the onset included in the feature window
+const PRE_ONSET = 128
+
+export const ONSET_MODES = ['simple', 'advanced', 'calibration', 'test']
+
+// Normalized 0-1 level of a block of samples
+export const getLevel = (block) => {
+  let sum = 0
+  for (let i = 0; i < block.length; i++) {
+    sum += block[i] * block[i]
+  }
+  const rms = Math.sqrt(sum / block.length)
+  if (rms === 0) return 0
+  const db = 20 * Math.log10(rms)
+  return Math.max(0, Math.min(1, (db - LEVEL_RANGE.min) / (LEVEL_RANGE.max - LEVEL_RANGE.min)))
+}
+
+// Create an onset detector for the given mode ('simple', 'advanced',
+// 'calibration' or 'test'). process(block, startFrame) takes consecutive PCM
+// blocks and the frame index of their first sample, and returns the events
+// completed by that block: clicks { time, frame, energy, spike, rise } or,
+// when calibrating, samples { time, frame, energy, spike, rise, features }.
+// Test mode reports every spike like calibration does, plus its similarity and
+// distance to the signature. Event times are ms of audio time. Blocks should
+// be render-quantum sized (128 samples) and never exceed the FFT size.
+// getNoise() returns the ambient noise floor ({ floor, spread, ready }); no
+// events are reported until it is ready. onTrace works as in createDetector,
+// with one frame per block.
+export const createOnsetDetector = ({
+  mode = 'simple',
+  sensitivity = 0.15,
+  signature = null,
+  sampleRate,
+  onTrace = null,
+} = {}) => {
+  if (!ONSET_MODES.includes(mode)) {
+    throw new Error(`Unknown detection mode: ${mode}`)
+  }
+  if (!sampleRate) {
+    throw new Error('sampleRate is required')
+  }
+
+  const options = { sensitivity, signature }
+  const calibrating = mode === 'calibration'
+  const testing = mode === 'test'
+  const debounceFrames = ((calibrating ? CALIBRATION_DEBOUNCE_MS : DEBOUNCE_MS) / 1000) * sampleRate
+
+  // The spectrum is taken over a window the size of the live analyser's FFT;
+  // time-domain features look at twice that to catch the decay
+  const { fftSize } = ANALYSER_SETTINGS.advanced
+  const analyser = createSpectrumAnalyser({ fftSize, smoothingTimeConstant: 0 })
+  const spectrum = new Uint8Array(analyser.frequencyBinCount)
+  const waveform = new Float32Array(fftSize * 2)
+  const history = new Float32Array(fftSize * 4)
+
+  let candidateSpike = candidateThreshold(mode, options)
+  if (calibrating) {
+    candidateSpike = CALIBRATION_SPIKE
+  } else if (testing) {
+    candidateSpike = TEST_SPIKE
+  }
+
+  const noise = createNoiseFloor()
+  let previousLevel = null
+  let lastClickFrame = -Infinity
+  // Whether the previous block was also an onset, so a click's tail is marked once
+  let wasOnset = false
+  let pending = null
+
+  const toEvent = (frame, extra) => ({ time: (frame / sampleRate) * 1000, frame, ...extra })
+
+  // Resolve a pending candidate once the whole feature window has arrived
+  const resolvePending = (endFrame) => {
+    const windowStart = pending.frame - PRE_ONSET
+    if (endFrame < windowStart + waveform.length) return null
+
+    const start = history.length - (endFrame - windowStart)
+    waveform.set(history.subarray(start, start + waveform.length))
+    analyser.reset()
+    analyser.getByteFrequencyData(spectrum, waveform, fftSize)
+
+    const { frame, energy, spike, rise } = pending
+    pending = null
+
+    if (calibrating || testing) {
+      lastClickFrame = frame
+      const features = extractFeatures({ spectrum, waveform, onset: PRE_ONSET, sampleRate })
+      const match = testing && signature ? matchSignature(features, signature) : {}
+      return toEvent(frame, { energy, spike, rise, features, ...match })
+    }
+
+    const { accepted, reason, ...match } = detectAdvanced({ spectrum, waveform, onset: PRE_ONSET, sampleRate, energy, spike, rise }, options)
+    onTrace?.(toEvent(frame, { type: 'marker', accepted, reason, spike, similarity: match.similarity ?? null }))
+    if (!accepted) return null
+
+    lastClickFrame = frame
+    return toEvent(frame, { energy, spike, rise, ...match })
+  }
+
+  const process = (block, startFrame) => {
+    const events = []
+    const endFrame = startFrame + block.length
+
+    history.copyWithin(0, block.length)
+    history.set(block, history.length - block.length)
+
+    const energy = getLevel(block)
+    const time = (startFrame / sampleRate) * 1000
+    noise.update(energy, time)
+    const { floor, ready } = noise.get()
+    const spike = energy - floor
+    // The first block sets the background level rather than counting as a rise
+    const rise = previousLevel === null ? 0 : energy - previousLevel
+    onTrace?.({ type: 'frame', time, energy, floor, threshold: ready ? floor + candidateSpike : null })
+
+    if (pending) {
+      const event = resolvePending(endFrame)
+      if (event) events.push(event)
+    }
+
+    const onsetBlock = ready && isOnset({ spike, rise }, candidateSpike)
+    if (onsetBlock) {
+      noise.hold(time)
+
+      const frame = startFrame + findOnset(block)
+      if (!pending && frame - lastClickFrame <= debounceFrames) {
+        if (!wasOnset) {
+          onTrace?.(toEvent(frame, { type: 'marker', accepted: false, reason: 'debounce', spike, similarity: null }))
+        }
+      } else if (!pending) {
+        if (mode === 'simple') {
+          const { accepted, reason } = detectSimple({ energy, spike, rise }, options)
+          onTrace?.(toEvent(frame, { type: 'marker', accepted, reason, spike, similarity: null }))
+          if (accepted) {
+            lastClickFrame = frame
+            events.push(toEvent(frame, { energy, spike, rise }))
+          }
+        } else {
+          pending = { frame, energy, spike, rise }
+          const event = resolvePending(endFrame)
+          if (event) events.push(event)
+        }
+      }
+    }
+
+    wasOnset = onsetBlock
+
+    // Smooth per block with the same time constant as one smoothing step per animation frame
+    const blockMs = (block.length / sampleRate) * 1000
+    const weight = 1 - Math.pow(1 - SMOOTHING, blockMs / REFERENCE_FRAME_MS)
+    previousLevel = previousLevel === null ? energy : weight * energy + (1 - weight) * previousLevel
+
+    return events
+  }
+
+  const reset = () => {
+    previousLevel = null
+    lastClickFrame = -Infinity
+    wasOnset = false
+    pending = null
+    history.fill(0)
+    noise.reset()
+  }
+
+  return { mode, process, reset, getNoise: noise.get }
+}
@@ -0,0 +1,53 @@
+// Output gate
+//
+// The app's own feedback (spoken counts, tones and vibration) reaches the
+// microphone too, so clicks detected while it is playing are ignored rather
+// than counted. The gate is a list of intervals in ms of audio time
+// (AudioContext time), which the main thread and the worklet share.
+//
+// An interval can be left open while its length isn't known yet, as with
+// speech, and closed once the output ends.
+
+// Heard a little before the output is scheduled to start, and after it ends
+// while the sound and any echo die away
+const LEAD_MS = 20
+const TAIL_MS = 150
+
+// Intervals that ended this long before the latest event are dropped
+const KEEP_MS = 2000
+
+// Gate interval messages posted to the click processor
+export const gateMessage = (from, until = Infinity) => ({ type: 'gate', from, until })
+export const closeGateMessage = (until) => ({ type: 'gate-close', until })
+
+export const createOutputGate = () => {
+  let intervals = []
+
+  // Gate from `from` until `until` (Infinity to leave the interval open)
+  const add = (from, until = Infinity) => {
+    intervals.push({ from: from - LEAD_MS, until: until + TAIL_MS })
+  }
+
+  // End any open intervals at `until`
+  const close = (until) => {
+    intervals = intervals.map(interval =>
+      interval.until === Infinity ? { ...interval, until: until + TAIL_MS } : interval)
+  }
+
+  const isGated = (time) => {
+    intervals = intervals.filter(interval => interval.until >= time - KEEP_MS)
+    return intervals.some(interval => time >= interval.from && time <= interval.until)
+  }
+
+  // Apply a message from gateMessage or closeGateMessage
+  const handleMessage = (data) => {
+    if (data.type === 'gate') add(data.from, data.until)
+    else if (data.type === 'gate-close') close(data.until)
+  }
+
+  const reset = () => {
+    intervals = []
+  }
+
+  return { add, close, isGated, handleMessage, reset }
+}
@@ -0,0 +1,53 @@
+// Pen inventory
+//
+// Tracks the physical pens the user has opened and how many clicks of each
+// have been used, so we can tell how much medication is left in the active
+// pen and whether it can deliver the next dose.
+//
+// Pens are plain objects { id, medication, penLabel, totalClicks, usedClicks,
+// openedAt, lot } kept in an array; every operation returns a new array.
+
+export const INVENTORY_VERSION = 1
+
+export const createPen = ({ medication, penLabel, totalClicks, openedAt, lot = '' }) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  medication,
+  penLabel,
+  totalClicks,
+  usedClicks: 0,
+  openedAt,
+  lot: lot.trim(),
+})
+
+export const remainingClicks = (pen) => Math.max(0, pen.totalClicks - pen.usedClicks)
+
+// What's left in a pen: clicks, mg, how many more target doses it holds, and
+// whether it can fully deliver the next one
+export const getPenStatus = (pen, mgPerClick, targetClicks) => {
+  const clicks = remainingClicks(pen)
+  return {
+    remainingClicks: clicks,
+    remainingMg: clicks * mgPerClick,
+    dosesLeft: targetClicks > 0 ? Math.floor(clicks / targetClicks) : 0,
+    canDeliver: clicks >= targetClicks,
+  }
+}
+
+export const updatePen = (pens, id, changes) =>
+  pens.map(pen => (pen.id === id ? { ...pen, ...changes } : pen))
+
+export const removePen = (pens, id) => pens.filter(pen => pen.id !== id)
+
+// Record clicks delivered from a pen; negative clicks give them back
+export const debitPen = (pens, id, clicks) =>
+  pens.map(pen => (pen.id === id ? { ...pen, usedClicks: Math.max(0, pen.usedClicks + clicks) } : pen))
+
+// Parse a stored inventory, or null if it is not one
+export const parseInventory = (saved) => {
+  if (!saved || saved.version !== INVENTORY_VERSION || !Array.isArray(saved.pens)) {
+    return null
+  }
+  return saved.pens
+}
+
+export const serializeInventory = (pens) => ({ version: INVENTORY_VERSION, pens })
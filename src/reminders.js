@@ -0,0 +1,86 @@
+// Dose reminders
+//
+// Works out when the next dose is due from the last one logged and the dosing
+// interval, and when to remind the user about it: on the due day at their
+// chosen time of day, or later if they snoozed the reminder.
+//
+// Reminder settings are { enabled, intervalDays, time: 'HH:MM', snoozeMinutes,
+// snoozedUntil, notifiedDue }, where notifiedDue is the due time the last
+// notification was shown for, so it isn't shown twice.
+
+export const DEFAULT_INTERVAL_DAYS = 7
+export const SNOOZE_OPTIONS = [15, 60, 180, 24 * 60]
+
+export const DEFAULT_REMINDERS = {
+  enabled: false,
+  intervalDays: DEFAULT_INTERVAL_DAYS,
+  time: '09:00',
+  snoozeMinutes: 60,
+  snoozedUntil: null,
+  notifiedDue: null,
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Doses further apart than this are treated as a break, not the cadence
+const MAX_CADENCE_DAYS = 31
+
+// Local midnight of the day containing a time
+const startOfDay = (time) => {
+  const date = new Date(time)
+  date.setHours(0, 0, 0, 0)
+  return date.getTime()
+}
+
+// Whole calendar days from one time to another
+export const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS)
+
+// The usual number of days between doses in the history (newest first), or
+// null if there aren't enough doses to tell
+export const estimateInterval = (history) => {
+  const gaps = []
+  for (let i = 0; i < history.length - 1 && gaps.length < 8; i++) {
+    const gap = daysBetween(new Date(history[i + 1].date).getTime(), new Date(history[i].date).getTime())
+    if (gap > 0 && gap <= MAX_CADENCE_DAYS) {
+      gaps.push(gap)
+    }
+  }
+  if (gaps.length === 0) return null
+
+  const sorted = [...gaps].sort((a, b) => a - b)
+  return sorted[Math.floor(sorted.length / 2)]
+}
+
+// When the next dose is due: intervalDays after the day of the last dose, at
+// the reminder time of day
+export const getNextDue = (lastDoseTime, intervalDays, time) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  const due = new Date(startOfDay(lastDoseTime))
+  due.setDate(due.getDate() + intervalDays)
+  due.setHours(hours, minutes, 0, 0)
+  return due.getTime()
+}
+
+// How the next dose stands relative to now: { days, overdue, dueToday }, where
+// days counts calendar days until it is due or since it became due
+export const getDueStatus = (nextDue, now = Date.now()) => {
+  const days = daysBetween(now, nextDue)
+  return {
+    days: Math.abs(days),
+    overdue: days < 0,
+    dueToday: days === 0,
+  }
+}
+
+// When to show the reminder for a due time, or null if it has been shown
+export const getReminderTime = (reminders, nextDue) => {
+  if (!reminders.enabled || reminders.notifiedDue === nextDue) return null
+  return Math.max(nextDue, reminders.snoozedUntil || 0)
+}
+
+// Reminder settings after snoozing for the chosen number of minutes
+export const snoozeReminder = (reminders, now = Date.now()) => ({
+  ...reminders,
+  snoozedUntil: now + reminders.snoozeMinutes * 60 * 1000,
+  notifiedDue: null,
+})
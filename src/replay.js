@@ -0,0 +1,109 @@
+// Offline replay of recorded audio through the click detectors
+//
+// Recordings are decoded to mono PCM and fed to the same engine live
+// detection uses: the onset detector in render-quantum blocks, as the
+// AudioWorklet sees them, or (engine: 'analyser') a software analyser polled
+// at the rate requestAnimationFrame would, as in the fallback for browsers
+// without AudioWorklet. The result is the list of click events live detection
+// would have produced for that recording.
+
+import { ANALYSER_SETTINGS, createDetector } from './detector.js'
+import { createOnsetDetector } from './onset.js'
+import { createSpectrumAnalyser } from './spectrum.js'
+import { decodeWav } from './wav.js'
+
+// The fallback detection loop polls the analyser once per animation frame
+export const FRAME_INTERVAL_MS = 1000 / 60
+
+// AudioWorklet processors receive audio in blocks of this many samples
+export const RENDER_QUANTUM = 128
+
+// Run PCM through the onset detector as the AudioWorklet would
+const replayOnset = (samples, sampleRate, { mode, sensitivity, signature }) => {
+  const detector = createOnsetDetector({ mode, sensitivity, signature, sampleRate })
+  const clicks = []
+
+  for (let start = 0; start < samples.length; start += RENDER_QUANTUM) {
+    clicks.push(...detector.process(samples.subarray(start, start + RENDER_QUANTUM), start))
+  }
+
+  return clicks
+}
+
+// Run PCM through a software analyser and frame detector as the fallback loop would
+const replayAnalyser = (samples, sampleRate, { mode, sensitivity, signature, frameInterval }) => {
+  const analyser = createSpectrumAnalyser(ANALYSER_SETTINGS[mode])
+  const detector = createDetector({ mode, sensitivity, signature, sampleRate })
+  const spectrum = new Uint8Array(analyser.frequencyBinCount)
+  const durationMs = (samples.length / sampleRate) * 1000
+  const clicks = []
+
+  for (let time = frameInterval; time <= durationMs; time += frameInterval) {
+    const end = Math.round((time / 1000) * sampleRate)
+    analyser.getByteFrequencyData(spectrum, samples, end)
+    const waveform = samples.subarray(Math.max(0, end - analyser.fftSize), end)
+    const event = detector.process(spectrum, time, waveform)
+    if (event) {
+      clicks.push(event)
+    }
+  }
+
+  return clicks
+}
+
+// Run PCM samples through a detector. Event times are in ms from the start of
+// the recording.
+export const replaySamples = (samples, sampleRate, {
+  mode = 'simple',
+  sensitivity = 0.15,
+  signature = null,
+  engine = 'onset',
+  frameInterval = FRAME_INTERVAL_MS,
+} = {}) => {
+  const options = { mode, sensitivity, signature, frameInterval }
+  return engine === 'analyser'
+    ? replayAnalyser(samples, sampleRate, options)
+    : replayOnset(samples, sampleRate, options)
+}
+
+// Mix an AudioBuffer down to a mono Float32Array
+const toMono = (audioBuffer) => {
+  const samples = new Float32Array(audioBuffer.length)
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    const channel = audioBuffer.getChannelData(c)
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] += channel[i] / audioBuffer.numberOfChannels
+    }
+  }
+  return samples
+}
+
+// Decode a recording into { sampleRate, samples }. Browsers decode anything
+// they can play (WAV, WebM, ...); elsewhere only WAV is supported.
+export const decodeRecording = async (arrayBuffer) => {
+  const OfflineContext = globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext
+  if (!OfflineContext) {
+    return decodeWav(arrayBuffer)
+  }
+
+  const context = new OfflineContext(1, 1, 44100)
+  // Callback form works with both the promise-based and older webkit APIs
+  const audioBuffer = await new Promise((resolve, reject) => {
+    context.decodeAudioData(arrayBuffer.slice(0), resolve, reject)
+  })
+  return { sampleRate: audioBuffer.sampleRate, samples: toMono(audioBuffer) }
+}
+
+// Replay a recording (File/Blob, ArrayBuffer or Node Buffer) and return the
+// detected click events
+export const replayRecording = async (input, options) => {
+  let arrayBuffer = input
+  if (typeof input.arrayBuffer === 'function') {
+    arrayBuffer = await input.arrayBuffer()
+  } else if (!(input instanceof ArrayBuffer)) {
+    arrayBuffer = input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength)
+  }
+
+  const { sampleRate, samples } = await decodeRecording(arrayBuffer)
+  return replaySamples(samples, sampleRate, options)
+}
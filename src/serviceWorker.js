@@ -0,0 +1,58 @@
+// Service worker registration and updates
+//
+// The service worker (src/sw.js) precaches the app for offline use and shows
+// dose reminders. When a new version is deployed, the browser installs its
+// service worker alongside the running one; it waits until the user agrees to
+// reload, so the app doesn't change under them mid-dose.
+
+let registration = null
+
+export const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return Promise.resolve(null)
+  registration = registration || navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+  return registration
+}
+
+// Call onUpdate(worker) when a new version has installed and is waiting to
+// take over. Checks for a new version whenever the app comes back into view.
+// Returns a function that stops watching.
+export const watchForUpdates = (onUpdate) => {
+  let watching = true
+
+  const checkForUpdate = () => {
+    if (document.visibilityState === 'visible') {
+      registerServiceWorker().then(reg => reg?.update()).catch(() => {})
+    }
+  }
+
+  registerServiceWorker().then(reg => {
+    if (!reg) return
+
+    // Only an update if another version is already in control
+    const notifyIfWaiting = () => {
+      if (watching && reg.waiting && navigator.serviceWorker.controller) {
+        onUpdate(reg.waiting)
+      }
+    }
+    notifyIfWaiting()
+
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed') notifyIfWaiting()
+      })
+    })
+  }).catch(() => {})
+
+  document.addEventListener('visibilitychange', checkForUpdate)
+  return () => {
+    watching = false
+    document.removeEventListener('visibilitychange', checkForUpdate)
+  }
+}
+
+// Switch to a waiting version and reload once it has taken over
+export const applyUpdate = (worker) => {
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true })
+  worker.postMessage({ type: 'skip-waiting' })
+}
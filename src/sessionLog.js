@@ -0,0 +1,65 @@
+// Session log
+//
+// A compact record of one listening session, saved with the dose it ends in
+// so a count that looks wrong afterwards can be reviewed: when listening
+// started and stopped, each detected click with its scores and any cadence
+// flag, clicks ignored while the app's feedback played, manual adjustments,
+// resets and rhythm corrections. Events are
+// { t, type, ... } with t in ms since the session started; events that change
+// the count say by how much (added, or delta), so the count after each one
+// can be replayed.
+
+// Longest log kept; a session that runs on keeps its first events
+const MAX_EVENTS = 500
+
+export const SESSION_EVENTS = {
+  start: 'Started listening',
+  click: 'Click detected',
+  gated: 'Ignored during feedback',
+  adjust: 'Manual adjust',
+  reset: 'Reset to 0',
+  correction: 'Rhythm correction',
+  stop: 'Stopped listening',
+}
+
+// Scores are rounded to keep the log small
+const round = (value) => Math.round(value * 1000) / 1000
+
+// The scores of a detected click worth keeping
+export const clickDetails = (event) => {
+  const details = { spike: round(event.spike) }
+  if (event.similarity !== undefined && event.similarity !== null) {
+    details.similarity = round(event.similarity)
+  }
+  return details
+}
+
+// Start a log. add(type, details) records an event and get() returns the log
+// to save: { start, events, truncated }.
+export const createSessionLog = (start = Date.now()) => {
+  const events = []
+  let truncated = false
+
+  const add = (type, details = {}) => {
+    if (events.length >= MAX_EVENTS) {
+      truncated = true
+      return
+    }
+    events.push({ t: Date.now() - start, type, ...details })
+  }
+
+  const get = () => ({ start: new Date(start).toISOString(), events: [...events], truncated })
+
+  return { add, get }
+}
+
+// The log's events, each with the count it left: { ...event, count }
+export const replaySession = (log) => {
+  let count = 0
+  return log.events.map(event => {
+    if (event.type === 'reset') count = 0
+    else if (event.type === 'click') count += event.added
+    else if (event.type === 'adjust' || event.type === 'correction') count = Math.max(0, count + event.delta)
+    return { ...event, count }
+  })
+}
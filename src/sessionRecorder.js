@@ -0,0 +1,42 @@
+// Session audio recording
+//
+// An optional short clip of what the microphone heard while counting, saved
+// with the dose for review. It is compressed (Opus where the browser has it)
+// at a low bitrate, and only the start of a long session is kept.
+
+// Longest clip kept
+const MAX_CLIP_MS = 60000
+
+// Low bitrate, plenty for hearing clicks
+const BITS_PER_SECOND = 24000
+
+export const canRecordAudio = () => 'MediaRecorder' in window
+
+// Start recording a stream. Returns { stop() }, which resolves with the clip as
+// a Blob (null if nothing was recorded); calling it again returns the same clip.
+export const startRecording = (stream) => {
+  const mimeType = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4']
+    .find(type => MediaRecorder.isTypeSupported(type))
+  const recorder = new MediaRecorder(stream, { mimeType, audioBitsPerSecond: BITS_PER_SECOND })
+  const chunks = []
+
+  const clip = new Promise(resolve => {
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data)
+    }
+    recorder.onstop = () => {
+      resolve(chunks.length > 0 ? new Blob(chunks, { type: recorder.mimeType }) : null)
+    }
+    recorder.onerror = () => resolve(null)
+  })
+
+  const stop = () => {
+    clearTimeout(limit)
+    if (recorder.state !== 'inactive') recorder.stop()
+    return clip
+  }
+  const limit = setTimeout(stop, MAX_CLIP_MS)
+
+  recorder.start()
+  return { stop }
+}
@@ -0,0 +1,139 @@
+// Click signatures
+//
+// A signature is a template of the features (see features.js) of the clicks
+// recorded during calibration: the mean of each feature plus its variance
+// across the calibration samples. Clicks are matched by their distance from
+// the mean in standard deviations, so features that varied a lot while
+// calibrating count for less than ones that were consistent.
+//
+// Version 1 signatures (a plain averaged band profile) are upgraded on load.
+
+import { BAND_COUNT, getProfileCentroid, getProfileShape } from './features.js'
+
+export const SIGNATURE_VERSION = 2
+export const MIN_CALIBRATION_SAMPLES = 3
+
+// Minimum similarity for a click to match a signature
+export const MATCH_THRESHOLD = 0.5
+
+const SCALAR_FEATURES = ['centroid', 'attack', 'decay', 'zcr']
+
+// Floor on each feature's standard deviation, so a handful of near-identical
+// calibration clicks does not make matching impossibly strict
+const MIN_DEVIATION = { profile: 0.02, centroid: 0.02, attack: 0.5, decay: 2, zcr: 0.02 }
+
+// Deviation assumed for upgraded signatures, which have no variance data
+const UPGRADE_DEVIATION = { profile: 0.04, centroid: 0.05 }
+
+const mean = (values) => values.reduce((acc, value) => acc + value, 0) / values.length
+
+// Sample variance; zero for fewer than two values
+const variance = (values) => {
+  if (values.length < 2) return 0
+  const avg = mean(values)
+  return values.reduce((acc, value) => acc + (value - avg) ** 2, 0) / (values.length - 1)
+}
+
+// Mean and variance of each feature over a list of feature sets. Features
+// missing from any sample (null) are left out of the template.
+export const buildTemplate = (featureSets) => {
+  const template = {
+    mean: { profile: [] },
+    variance: { profile: [] },
+  }
+
+  for (let b = 0; b < featureSets[0].profile.length; b++) {
+    const values = featureSets.map(features => features.profile[b])
+    template.mean.profile.push(mean(values))
+    template.variance.profile.push(variance(values))
+  }
+
+  for (const key of SCALAR_FEATURES) {
+    const values = featureSets.map(features => features[key])
+    const complete = values.every(value => value !== null && value !== undefined)
+    template.mean[key] = complete ? mean(values) : null
+    template.variance[key] = complete ? variance(values) : null
+  }
+
+  return template
+}
+
+// Build a signature from calibration samples ({ energy, features }), or null
+// if there are too few
+export const buildSignature = (samples) => {
+  if (samples.length < MIN_CALIBRATION_SAMPLES) return null
+
+  return {
+    version: SIGNATURE_VERSION,
+    ...buildTemplate(samples.map(sample => sample.features)),
+    avgEnergy: mean(samples.map(sample => sample.energy)),
+    sampleCount: samples.length,
+    createdAt: new Date().toISOString(),
+  }
+}
+
+// Bring a saved signature up to the current version. Version 1 stored only
+// the averaged band profile, so its template gets the profile shape and a
+// centroid estimated from it, with default deviations.
+export const upgradeSignature = (saved) => {
+  if (!saved) return null
+  if (saved.version === SIGNATURE_VERSION) return saved
+
+  if (!saved.version && Array.isArray(saved.profile) && saved.profile.length === BAND_COUNT) {
+    return {
+      version: SIGNATURE_VERSION,
+      mean: {
+        profile: getProfileShape(saved.profile),
+        centroid: getProfileCentroid(saved.profile),
+        attack: null,
+        decay: null,
+        zcr: null,
+      },
+      variance: {
+        profile: saved.profile.map(() => UPGRADE_DEVIATION.profile ** 2),
+        centroid: UPGRADE_DEVIATION.centroid ** 2,
+        attack: null,
+        decay: null,
+        zcr: null,
+      },
+      avgEnergy: saved.avgEnergy,
+      sampleCount: saved.sampleCount,
+      createdAt: saved.createdAt,
+      upgradedFrom: 1,
+    }
+  }
+
+  throw new Error(`Unrecognized click signature (version ${saved.version})`)
+}
+
+// Squared distance of a value from the mean, in standard deviations
+const zSquared = (value, avg, varianceValue, minDeviation) => {
+  const deviation = Math.max(Math.sqrt(varianceValue || 0), minDeviation)
+  return ((value - avg) / deviation) ** 2
+}
+
+// Distance of a click's features from a signature, as the RMS number of
+// standard deviations across features. The band profile counts as one
+// feature. Features missing on either side are skipped.
+export const signatureDistance = (features, signature) => {
+  const terms = []
+
+  const profileTerms = features.profile.map((value, b) =>
+    zSquared(value, signature.mean.profile[b], signature.variance.profile[b], MIN_DEVIATION.profile)
+  )
+  terms.push(mean(profileTerms))
+
+  for (const key of SCALAR_FEATURES) {
+    if (features[key] === null || signature.mean[key] === null) continue
+    terms.push(zSquared(features[key], signature.mean[key], signature.variance[key], MIN_DEVIATION[key]))
+  }
+
+  return Math.sqrt(mean(terms))
+}
+
+// Score a click against a signature: 1 is a perfect match, and a click
+// averaging two standard deviations off scores about 0.6
+export const matchSignature = (features, signature) => {
+  const distance = signatureDistance(features, signature)
+  return { distance, similarity: Math.exp(-(distance ** 2) / 8) }
+}
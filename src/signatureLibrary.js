@@ -0,0 +1,68 @@
+// Click signature library
+//
+// Pens of different medications and strengths click differently, and so does
+// the same pen through different microphones. The library keeps one named
+// signature per pen (medication + pen label) and, optionally, per device
+// label, and picks the one matching the current selection.
+//
+// Entries are plain objects { id, name, medication, penLabel, device,
+// signature } kept in an array; every operation returns a new array.
+
+export const LIBRARY_VERSION = 1
+
+// Default name for a signature, e.g. "Wegovy 2.4mg (3mL)" or "Wegovy 2.4mg (3mL) - Tablet"
+export const defaultSignatureName = (medicationName, penLabel, device = '') =>
+  `${medicationName} ${penLabel}${device ? ` - ${device}` : ''}`
+
+export const createEntry = ({ name, medication, penLabel, device = '', signature }) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name,
+  medication,
+  penLabel,
+  device: device.trim(),
+  signature,
+})
+
+// Signatures recorded for a pen, in preference order for the given device:
+// an exact device match, then signatures without a device label, then the rest
+export const entriesForPen = (entries, medication, penLabel, device = '') => {
+  const rank = (entry) => {
+    if (entry.device === device.trim()) return 0
+    if (!entry.device) return 1
+    return 2
+  }
+  return entries
+    .filter(entry => entry.medication === medication && entry.penLabel === penLabel)
+    .sort((a, b) => rank(a) - rank(b))
+}
+
+// The signature entry to use for a pen on this device, or null
+export const findEntry = (entries, medication, penLabel, device = '') =>
+  entriesForPen(entries, medication, penLabel, device)[0] || null
+
+export const updateEntry = (entries, id, changes) =>
+  entries.map(entry => (entry.id === id ? { ...entry, ...changes } : entry))
+
+export const removeEntry = (entries, id) => entries.filter(entry => entry.id !== id)
+
+// Store a signature for a pen and device, replacing the entry for exactly that
+// pen and device if there is one
+export const saveSignatureFor = (entries, { medication, penLabel, device = '', name, signature }) => {
+  const existing = entries.find(entry =>
+    entry.medication === medication && entry.penLabel === penLabel && entry.device === device.trim()
+  )
+  if (existing) {
+    return updateEntry(entries, existing.id, { signature })
+  }
+  return [...entries, createEntry({ name, medication, penLabel, device, signature })]
+}
+
+// Parse a stored library, or null if it is not one
+export const parseLibrary = (saved) => {
+  if (!saved || saved.version !== LIBRARY_VERSION || !Array.isArray(saved.entries)) {
+    return null
+  }
+  return saved.entries
+}
+
+export const serializeLibrary = (entries) => ({ version: LIBRARY_VERSION, entries })
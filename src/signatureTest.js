@@ -0,0 +1,67 @@
+// Signature test runs
+//
+// A test run records every spike the detector sees during a quiet period and
+// then while the user clicks the pen a set number of times, each scored
+// against the signature. From that we can tell how many clicks Advanced mode
+// would count at the current sensitivity, how often ambient noise would be
+// counted as a click, and which sensitivity separates the two best.
+
+import { isOnset } from './detector.js'
+import { MATCH_THRESHOLD } from './signature.js'
+
+export const TEST_CLICKS = 10
+export const QUIET_PERIOD_MS = 5000
+
+// Range of the sensitivity slider
+export const SENSITIVITY_RANGE = { min: 0.05, max: 0.4, step: 0.01 }
+
+// Whether Advanced mode would count a candidate at this sensitivity. A
+// signature match needs an onset of half the sensitivity (see detectAdvanced).
+export const wouldDetect = (candidate, sensitivity) =>
+  candidate.similarity > MATCH_THRESHOLD && isOnset(candidate, sensitivity * 0.5)
+
+// Every sensitivity the slider can be set to
+const sensitivitySteps = () => {
+  const { min, max, step } = SENSITIVITY_RANGE
+  const count = Math.round((max - min) / step)
+  return Array.from({ length: count + 1 }, (_, i) => Number((min + i * step).toFixed(2)))
+}
+
+// The slider setting that would count closest to the expected clicks with the
+// fewest noise triggers, by the same test as the reported counts. Where several
+// do equally well, the middle one leaves the most margin either side. null if
+// no click would be counted at any setting.
+export const suggestSensitivity = (quiet, clicks, expectedClicks) => {
+  const scored = sensitivitySteps().map(sensitivity => {
+    const detected = clicks.filter(candidate => wouldDetect(candidate, sensitivity)).length
+    const falseTriggers = quiet.filter(candidate => wouldDetect(candidate, sensitivity)).length
+    return { sensitivity, detected, errors: Math.abs(detected - expectedClicks) + falseTriggers }
+  }).filter(setting => setting.detected > 0)
+  if (scored.length === 0) return null
+
+  const fewestErrors = Math.min(...scored.map(setting => setting.errors))
+  const best = scored.filter(setting => setting.errors === fewestErrors)
+  return best[Math.floor((best.length - 1) / 2)].sensitivity
+}
+
+// Evaluate a test run. quiet and clicks are the candidates recorded in each
+// phase ({ spike, similarity }).
+export const evaluateSignatureTest = ({ quiet, clicks, sensitivity, expectedClicks = TEST_CLICKS }) => {
+  const detected = clicks.filter(candidate => wouldDetect(candidate, sensitivity)).length
+  const falseTriggers = quiet.filter(candidate => wouldDetect(candidate, sensitivity)).length
+  const suggestedSensitivity = suggestSensitivity(quiet, clicks, expectedClicks)
+
+  return {
+    expected: expectedClicks,
+    detected,
+    falseTriggers,
+    similarities: clicks.map(candidate => candidate.similarity),
+    suggestedSensitivity,
+    suggestedDetected: suggestedSensitivity === null
+      ? 0
+      : clicks.filter(candidate => wouldDetect(candidate, suggestedSensitivity)).length,
+    suggestedFalseTriggers: suggestedSensitivity === null
+      ? 0
+      : quiet.filter(candidate => wouldDetect(candidate, suggestedSensitivity)).length,
+  }
+}
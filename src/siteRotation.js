@@ -0,0 +1,56 @@
+// Injection site rotation
+//
+// Injecting in the same spot again too soon can cause lumps and irritation,
+// so doses rotate between sites. Sites are named from the user's point of
+// view ("left" is their left), in the order the rotation walks through them:
+// around the abdomen, then the thighs, then the upper arms.
+
+export const INJECTION_SITES = {
+  'abdomen-upper-left': 'Abdomen, upper left',
+  'abdomen-upper-right': 'Abdomen, upper right',
+  'abdomen-lower-right': 'Abdomen, lower right',
+  'abdomen-lower-left': 'Abdomen, lower left',
+  'thigh-left': 'Thigh, left',
+  'thigh-right': 'Thigh, right',
+  'arm-right': 'Upper arm, right',
+  'arm-left': 'Upper arm, left',
+}
+
+const SITE_ORDER = Object.keys(INJECTION_SITES)
+
+// How recently a site may have been used before reusing it is flagged
+export const SITE_WINDOW_OPTIONS = [7, 14, 21, 28]
+export const DEFAULT_SITE_WINDOW_DAYS = 14
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// The site to use next from the history (newest first): one never used if
+// there is one, otherwise the one used the most injections ago. Ties go to
+// the next site in rotation order after the last one used.
+export const suggestNextSite = (history) => {
+  const sited = history.filter(entry => INJECTION_SITES[entry.site])
+  const injectionsAgo = {}
+  sited.forEach((entry, i) => {
+    if (!(entry.site in injectionsAgo)) injectionsAgo[entry.site] = i
+  })
+
+  const start = sited.length > 0 ? SITE_ORDER.indexOf(sited[0].site) + 1 : 0
+  const order = SITE_ORDER.map((_, i) => SITE_ORDER[(start + i) % SITE_ORDER.length])
+  return order.reduce((best, site) =>
+    (injectionsAgo[site] ?? Infinity) > (injectionsAgo[best] ?? Infinity) ? site : best)
+}
+
+// Sites used within the last windowDays, as { site: days since last used }
+export const recentSites = (history, windowDays, now = Date.now()) => {
+  const recent = {}
+  for (const entry of history) {
+    const days = Math.floor((now - new Date(entry.date).getTime()) / DAY_MS)
+    if (INJECTION_SITES[entry.site] && days >= 0 && days < windowDays && !(entry.site in recent)) {
+      recent[entry.site] = days
+    }
+  }
+  return recent
+}
+
+// How long ago a site was used, for messages
+export const describeDaysAgo = (days) => (days === 0 ? 'today' : `${days} day${days > 1 ? 's' : ''} ago`)
@@ -0,0 +1,111 @@
+// Software AnalyserNode
+//
+// Reproduces AnalyserNode.getByteFrequencyData on raw PCM so recordings can be
+// run through the detectors without a live AudioContext (and in Node). Follows
+// the Web Audio spec: Blackman window, FFT magnitude, time smoothing, then a
+// dB scale mapped onto 0-255 between minDecibels and maxDecibels.
+
+const DEFAULT_MIN_DECIBELS = -100
+const DEFAULT_MAX_DECIBELS = -30
+
+// Blackman window coefficients as specified for AnalyserNode
+const blackmanWindow = (size) => {
+  const alpha = 0.16
+  const a0 = (1 - alpha) / 2
+  const a1 = 0.5
+  const a2 = alpha / 2
+  const window = new Float32Array(size)
+  for (let i = 0; i < size; i++) {
+    window[i] = a0 - a1 * Math.cos((2 * Math.PI * i) / size) + a2 * Math.cos((4 * Math.PI * i) / size)
+  }
+  return window
+}
+
+// In-place iterative radix-2 FFT over separate real/imaginary arrays
+const fft = (re, im) => {
+  const n = re.length
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1
+    for (; j & bit; bit >>= 1) {
+      j ^= bit
+    }
+    j ^= bit
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]]
+    }
+  }
+
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = (-2 * Math.PI) / len
+    const wRe = Math.cos(angle)
+    const wIm = Math.sin(angle)
+    for (let i = 0; i < n; i += len) {
+      let curRe = 1
+      let curIm = 0
+      for (let k = 0; k < len / 2; k++) {
+        const aRe = re[i + k]
+        const aIm = im[i + k]
+        const bRe = re[i + k + len / 2] * curRe - im[i + k + len / 2] * curIm
+        const bIm = re[i + k + len / 2] * curIm + im[i + k + len / 2] * curRe
+        re[i + k] = aRe + bRe
+        im[i + k] = aIm + bIm
+        re[i + k + len / 2] = aRe - bRe
+        im[i + k + len / 2] = aIm - bIm
+        const nextRe = curRe * wRe - curIm * wIm
+        curIm = curRe * wIm + curIm * wRe
+        curRe = nextRe
+      }
+    }
+  }
+}
+
+// Create an analyser over a PCM buffer. getByteFrequencyData(array, samples,
+// endIndex) fills array from the fftSize samples ending at endIndex, like a
+// live AnalyserNode would at that point in the stream.
+export const createSpectrumAnalyser = ({
+  fftSize = 2048,
+  smoothingTimeConstant = 0.8,
+  minDecibels = DEFAULT_MIN_DECIBELS,
+  maxDecibels = DEFAULT_MAX_DECIBELS,
+} = {}) => {
+  if (fftSize < 32 || fftSize > 32768 || (fftSize & (fftSize - 1)) !== 0) {
+    throw new Error(`fftSize must be a power of two between 32 and 32768, got ${fftSize}`)
+  }
+
+  const frequencyBinCount = fftSize / 2
+  const window = blackmanWindow(fftSize)
+  const smoothed = new Float32Array(frequencyBinCount)
+  const re = new Float32Array(fftSize)
+  const im = new Float32Array(fftSize)
+  const rangeScale = 255 / (maxDecibels - minDecibels)
+
+  const getByteFrequencyData = (array, samples, endIndex) => {
+    const start = endIndex - fftSize
+    for (let i = 0; i < fftSize; i++) {
+      const index = start + i
+      const sample = index >= 0 && index < samples.length ? samples[index] : 0
+      re[i] = sample * window[i]
+      im[i] = 0
+    }
+
+    fft(re, im)
+
+    const count = Math.min(array.length, frequencyBinCount)
+    for (let k = 0; k < frequencyBinCount; k++) {
+      const magnitude = Math.sqrt(re[k] * re[k] + im[k] * im[k]) / fftSize
+      smoothed[k] = smoothingTimeConstant * smoothed[k] + (1 - smoothingTimeConstant) * magnitude
+      if (k < count) {
+        const db = smoothed[k] > 0 ? 20 * Math.log10(smoothed[k]) : -Infinity
+        array[k] = Math.max(0, Math.min(255, Math.floor(rangeScale * (db - minDecibels))))
+      }
+    }
+  }
+
+  const reset = () => {
+    smoothed.fill(0)
+  }
+
+  return { fftSize, frequencyBinCount, getByteFrequencyData, reset }
+}
@@ -0,0 +1,306 @@
+// Persistent storage
+//
+// Everything the app saves lives in one IndexedDB database:
+//   doses      - dose history entries, keyed by id
+//   records    - one value per name ('settings', 'signatures', 'inventory',
+//                'catalog', 'schedule', 'reminders'), as { name, value }
+//   quarantine - saved data that couldn't be read, kept so it isn't lost
+//   clips      - audio recorded while counting a dose, keyed by the dose's id
+//
+// The schema is versioned: MIGRATIONS[n] upgrades the database from version n
+// to n + 1 inside the upgrade transaction, so a failed migration leaves the
+// previous version untouched. The first migration imports the localStorage
+// keys earlier versions of the app used, which are removed once it commits.
+//
+// Unreadable data is never dropped silently. Dose entries that fail
+// validation, and localStorage values that don't parse, are reported by
+// loadStoredData as problems for the user to download or discard. Records the
+// app can't read are moved to quarantine with quarantineRecords.
+
+import { BUILT_IN_MEDICATIONS, DEFAULT_MEDICATION } from './catalog.js'
+import { upgradeSignature } from './signature.js'
+import { createEntry, defaultSignatureName, serializeLibrary } from './signatureLibrary.js'
+
+export const DB_NAME = 'glp1-click-counter'
+
+// localStorage keys used before IndexedDB, and the record each moves to
+const LEGACY_HISTORY_KEY = 'glp1-dose-history'
+const LEGACY_SIGNATURE_KEY = 'glp1-click-signature' // Single signature saved by the first versions
+const LEGACY_RECORD_KEYS = {
+  settings: 'glp1-settings',
+  signatures: 'glp1-click-signatures',
+  inventory: 'glp1-pen-inventory',
+  catalog: 'glp1-pen-catalog',
+  schedule: 'glp1-titration-schedule',
+  reminders: 'glp1-reminders',
+}
+
+// Why a dose entry can't be used, or null if it is valid
+export const validateDose = (entry) => {
+  if (!entry || typeof entry !== 'object') return 'not a dose entry'
+  if (typeof entry.id !== 'number' && typeof entry.id !== 'string') return 'missing id'
+  if (typeof entry.date !== 'string' || isNaN(new Date(entry.date).getTime())) return 'invalid date'
+  if (!Number.isInteger(entry.clicks) || entry.clicks < 0) return 'invalid click count'
+  if (typeof entry.dose !== 'number' || !Number.isFinite(entry.dose)) return 'invalid dose'
+  return null
+}
+
+// Read a localStorage value. Values that don't parse go to quarantine,
+// labelled with what they held.
+const readLegacy = (key, source, quarantine) => {
+  const raw = localStorage.getItem(key)
+  if (raw === null) return null
+  try {
+    return JSON.parse(raw)
+  } catch (e) {
+    quarantine.add({ source, raw, reason: 'unreadable JSON' })
+    return null
+  }
+}
+
+// A signature saved by the first versions becomes the library's first entry,
+// assigned to the pen selected in the saved settings
+const migrateLegacySignature = (saved, settings) => {
+  const signature = upgradeSignature(saved)
+  const medication = BUILT_IN_MEDICATIONS[settings?.medication] ? settings.medication : DEFAULT_MEDICATION
+  const pens = BUILT_IN_MEDICATIONS[medication].pens
+  const pen = pens[settings?.penIndex || 0] || pens[0]
+  return serializeLibrary([createEntry({
+    name: defaultSignatureName(BUILT_IN_MEDICATIONS[medication].name, pen.label),
+    medication,
+    penLabel: pen.label,
+    signature,
+  })])
+}
+
+// Copy the localStorage data of earlier versions into the new stores
+const importLocalStorage = (transaction) => {
+  const doses = transaction.objectStore('doses')
+  const records = transaction.objectStore('records')
+  const quarantine = transaction.objectStore('quarantine')
+
+  const history = readLegacy(LEGACY_HISTORY_KEY, 'dose history', quarantine)
+  if (Array.isArray(history)) {
+    history.forEach(entry => {
+      const reason = validateDose(entry)
+      if (reason) {
+        quarantine.add({ source: 'dose history', raw: JSON.stringify(entry), reason })
+      } else {
+        doses.put(entry)
+      }
+    })
+  } else if (history !== null) {
+    quarantine.add({ source: 'dose history', raw: JSON.stringify(history), reason: 'not a list of doses' })
+  }
+
+  for (const [name, key] of Object.entries(LEGACY_RECORD_KEYS)) {
+    const value = readLegacy(key, name, quarantine)
+    if (value !== null) {
+      records.put({ name, value })
+    }
+  }
+
+  if (localStorage.getItem(LEGACY_RECORD_KEYS.signatures) === null) {
+    const legacySignature = readLegacy(LEGACY_SIGNATURE_KEY, 'signatures', quarantine)
+    if (legacySignature !== null) {
+      try {
+        const settings = JSON.parse(localStorage.getItem(LEGACY_RECORD_KEYS.settings))
+        records.put({ name: 'signatures', value: migrateLegacySignature(legacySignature, settings) })
+      } catch (e) {
+        quarantine.add({ source: 'signatures', raw: JSON.stringify(legacySignature), reason: e.message })
+      }
+    }
+  }
+}
+
+const removeLocalStorage = () => {
+  localStorage.removeItem(LEGACY_HISTORY_KEY)
+  localStorage.removeItem(LEGACY_SIGNATURE_KEY)
+  Object.values(LEGACY_RECORD_KEYS).forEach(key => localStorage.removeItem(key))
+}
+
+// Schema migrations, indexed by the version they upgrade from
+const MIGRATIONS = [
+  (db, transaction) => {
+    db.createObjectStore('doses', { keyPath: 'id' }).createIndex('date', 'date')
+    db.createObjectStore('records', { keyPath: 'name' })
+    db.createObjectStore('quarantine', { autoIncrement: true })
+    importLocalStorage(transaction)
+  },
+  (db) => {
+    db.createObjectStore('clips')
+  },
+]
+
+export const DB_VERSION = MIGRATIONS.length
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+let database = null
+
+// Called while an upgrade waits for other tabs to close their connection, and
+// when another tab needs this one to close its connection for an upgrade
+let storageHandlers = { blocked: () => {}, versionChange: () => {} }
+
+export const watchStorage = (handlers) => {
+  storageHandlers = { ...storageHandlers, ...handlers }
+}
+
+const openDatabase = () => {
+  if (database) return database
+  database = new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error('IndexedDB is not available'))
+      return
+    }
+
+    let importedLocalStorage = false
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = (event) => {
+      const { transaction } = request
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        MIGRATIONS[version](request.result, transaction)
+      }
+      importedLocalStorage = event.oldVersion === 0
+    }
+    request.onsuccess = () => {
+      // The upgrade transaction has committed, so the old copies can go
+      if (importedLocalStorage) removeLocalStorage()
+      const db = request.result
+      // Let a newer version in another tab upgrade; this one opens again on its next save
+      db.onversionchange = () => {
+        db.close()
+        database = null
+        storageHandlers.versionChange()
+      }
+      resolve(db)
+    }
+    request.onerror = () => reject(request.error)
+    // The open carries on once the other tabs close their connection
+    request.onblocked = () => storageHandlers.blocked()
+  })
+  // A failed open is tried again next time rather than failing every save after it
+  database.catch(() => { database = null })
+  return database
+}
+
+// Run fn(stores) in a transaction; resolves with its result once committed
+const transact = async (storeNames, mode, fn) => {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode)
+    const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]))
+    let result
+    Promise.resolve(fn(stores)).then(value => { result = value }, reject)
+    transaction.oncomplete = () => resolve(result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+  })
+}
+
+// Load everything the app needs to start: { history (newest first), records
+// (by name), problems }. Each problem is { store, key, source, raw, reason }.
+export const loadStoredData = () =>
+  transact(['doses', 'records', 'quarantine'], 'readonly', async ({ doses, records, quarantine }) => {
+    const [doseEntries, recordEntries, quarantineValues, quarantineKeys] = await Promise.all([
+      promisify(doses.getAll()),
+      promisify(records.getAll()),
+      promisify(quarantine.getAll()),
+      promisify(quarantine.getAllKeys()),
+    ])
+
+    const history = []
+    const problems = quarantineValues.map((value, i) => ({ store: 'quarantine', key: quarantineKeys[i], ...value }))
+    for (const entry of doseEntries) {
+      const reason = validateDose(entry)
+      if (reason) {
+        problems.push({ store: 'doses', key: entry?.id, source: 'dose history', raw: JSON.stringify(entry), reason })
+      } else {
+        history.push(entry)
+      }
+    }
+    history.sort((a, b) => new Date(b.date) - new Date(a.date))
+
+    return {
+      history,
+      records: Object.fromEntries(recordEntries.map(({ name, value }) => [name, value])),
+      problems,
+    }
+  })
+
+export const saveRecord = (name, value) =>
+  transact(['records'], 'readwrite', ({ records }) => {
+    records.put({ name, value })
+  })
+
+export const deleteRecord = (name) =>
+  transact(['records'], 'readwrite', ({ records }) => {
+    records.delete(name)
+  })
+
+const putRecords = (records, changedRecords) => {
+  for (const [name, value] of Object.entries(changedRecords)) {
+    records.put({ name, value })
+  }
+}
+
+// Save dose entries, together with any records that change with them
+export const putDoses = (entries, changedRecords = {}) =>
+  transact(['doses', 'records'], 'readwrite', ({ doses, records }) => {
+    entries.forEach(entry => doses.put(entry))
+    putRecords(records, changedRecords)
+  })
+
+// Save a dose entry, with the records that change with it and the audio clip
+// recorded for it, if any
+export const putDose = (entry, changedRecords = {}, clip = null) =>
+  transact(['doses', 'records', 'clips'], 'readwrite', ({ doses, records, clips }) => {
+    doses.put(entry)
+    putRecords(records, changedRecords)
+    if (clip) clips.put(clip, entry.id)
+  })
+
+// Delete a dose entry and its clip, together with any records that change
+// with it. Resolves with the clip, so the deletion can be undone.
+export const deleteDose = (id, changedRecords = {}) =>
+  transact(['doses', 'records', 'clips'], 'readwrite', async ({ doses, records, clips }) => {
+    const clip = await promisify(clips.get(id))
+    doses.delete(id)
+    clips.delete(id)
+    putRecords(records, changedRecords)
+    return clip || null
+  })
+
+export const clearDoses = () =>
+  transact(['doses', 'clips'], 'readwrite', ({ doses, clips }) => {
+    doses.clear()
+    clips.clear()
+  })
+
+// The audio clip recorded for a dose, or null
+export const loadClip = (id) =>
+  transact(['clips'], 'readonly', async ({ clips }) => (await promisify(clips.get(id))) || null)
+
+// Move unreadable records, or the unreadable parts of them, to quarantine.
+// Each item is { name, value, problems }: problems lists what to set aside as
+// { source, raw, reason }, and value replaces the record (undefined removes
+// it). Resolves with the problems as loadStoredData reports them.
+export const quarantineRecords = (items) =>
+  transact(['records', 'quarantine'], 'readwrite', async ({ records, quarantine }) => {
+    for (const { name, value } of items) {
+      if (value === undefined) records.delete(name)
+      else records.put({ name, value })
+    }
+    const problems = items.flatMap(item => item.problems)
+    const keys = await Promise.all(problems.map(problem => promisify(quarantine.add(problem))))
+    return problems.map((problem, i) => ({ store: 'quarantine', key: keys[i], ...problem }))
+  })
+
+// Remove a problem entry once the user has dealt with it
+export const discardProblem = ({ store, key }) =>
+  transact([store], 'readwrite', (stores) => {
+    stores[store].delete(key)
+  })
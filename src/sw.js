@@ -0,0 +1,87 @@
+// Service worker
+//
+// Precaches the built app so it installs and launches offline, and handles
+// taps on dose reminder notifications.
+//
+// Not bundled with the app: the service-worker plugin in vite.config.js fills
+// in PRECACHE with { version, files } for the build, where files are paths
+// relative to the app's base URL. A new version waits until
+// the app asks it to take over (see serviceWorker.js), so an open app isn't
+// switched to new assets mid-dose.
+
+const PRECACHE = __PRECACHE_MANIFEST__
+const CACHE_NAME = `glp1-click-counter-${PRECACHE.version}`
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE.files.map(scopeUrl)))
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('message', ({ data }) => {
+  if (data?.type === 'skip-waiting') {
+    self.skipWaiting()
+  }
+})
+
+// Serve precached files from the cache and the app shell for navigations, so
+// the app starts without a network; everything else goes to the network
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return
+
+  const cacheKey = request.mode === 'navigate' ? scopeUrl('index.html') : request.url
+  event.respondWith(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.match(cacheKey, { ignoreSearch: true }))
+      .then(cached => cached || fetch(request))
+  )
+})
+
+// Dose reminders: snoozing is passed on to the app if it is open, so it can
+// reschedule the reminder; otherwise the reminder is rescheduled here where
+// the browser supports notification triggers
+
+const snooze = async (notification) => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+  if (windows.length > 0) {
+    windows.forEach(client => client.postMessage({ type: 'snooze' }))
+    return
+  }
+
+  if ('showTrigger' in Notification.prototype && 'TimestampTrigger' in self) {
+    const time = Date.now() + notification.data.snoozeMinutes * 60 * 1000
+    await self.registration.showNotification(notification.title, {
+      body: notification.body,
+      tag: notification.tag,
+      data: notification.data,
+      actions: notification.actions,
+      requireInteraction: true,
+      showTrigger: new self.TimestampTrigger(time),
+    })
+  }
+}
+
+const openApp = async () => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+  if (windows.length > 0) {
+    return windows[0].focus()
+  }
+  return self.clients.openWindow(self.registration.scope)
+}
+
+self.addEventListener('notificationclick', (event) => {
+  const { notification } = event
+  notification.close()
+  event.waitUntil(event.action === 'snooze' ? snooze(notification) : openApp())
+})
@@ -0,0 +1,155 @@
+// Titration schedules
+//
+// A schedule is a ladder of steps { dose, weeks } followed from a start date,
+// one dose a week; a step with weeks: null is held indefinitely (maintenance).
+// Progress is measured in dosing weeks, starting on the start date's weekday:
+// each week with a dose logged counts towards the current step, so a missed
+// week pauses the schedule rather than skipping a step.
+//
+// When doses are missed for restart.missedWeeks weeks in a row, the restart
+// action is applied once for that gap:
+//   'resume'    - carry on where the schedule left off
+//   'repeat'    - start the current step over
+//   'step-down' - go back to the start of the previous step
+//   'restart'   - start again from the first step
+
+export const SCHEDULE_VERSION = 1
+
+export const WEEKS_PER_STEP = 4
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const WEEK_MS = 7 * DAY_MS
+
+export const RESTART_ACTIONS = {
+  resume: 'Carry on where I left off',
+  repeat: 'Repeat the current step',
+  'step-down': 'Go back one step',
+  restart: 'Start over from the first step',
+}
+
+export const DEFAULT_RESTART = { missedWeeks: 2, action: 'repeat' }
+
+// Standard ladder for a medication's doses: four weeks per step, holding the last
+export const ladderFromDoses = (doses) =>
+  doses.map((dose, i) => ({ dose, weeks: i === doses.length - 1 ? null : WEEKS_PER_STEP }))
+
+export const createSchedule = ({ medication, startDate, steps, restart = DEFAULT_RESTART }) => ({
+  version: SCHEDULE_VERSION,
+  medication,
+  startDate,
+  steps,
+  restart,
+})
+
+// Problems with a schedule, as messages; empty if it is valid
+export const validateSchedule = ({ startDate, steps, restart }) => {
+  const errors = []
+  if (!startDate || isNaN(parseDate(startDate))) errors.push('Pick a start date')
+  if (steps.length === 0) errors.push('Add at least one step')
+  if (!steps.every(step => step.dose > 0)) errors.push('Every step needs a dose')
+  if (!steps.every(step => step.weeks === null || (Number.isInteger(step.weeks) && step.weeks > 0))) {
+    errors.push('Weeks must be a whole number above 0, or left empty to hold')
+  }
+  if (!Number.isInteger(restart.missedWeeks) || restart.missedWeeks < 1) {
+    errors.push('Missed weeks before restarting must be at least 1')
+  }
+  if (!RESTART_ACTIONS[restart.action]) errors.push('Pick what to do after missed weeks')
+  return errors
+}
+
+// Local midnight of a YYYY-MM-DD date
+export const parseDate = (date) => new Date(`${date}T00:00:00`).getTime()
+
+const applyRestart = (action, state) => {
+  if (action === 'repeat') return { ...state, weeksAtStep: 0 }
+  if (action === 'step-down') return { stepIndex: Math.max(0, state.stepIndex - 1), weeksAtStep: 0 }
+  if (action === 'restart') return { stepIndex: 0, weeksAtStep: 0 }
+  return state
+}
+
+// Where a schedule stands at `now` given the times (ms) doses were logged.
+// Returns null before the start date, otherwise { week, stepIndex, dose,
+// weeksAtStep, weeksLeft, dosedThisWeek, missedWeeks, restarted, weekStart,
+// upcoming }. upcoming lists the step-ups still ahead as { dose, date },
+// assuming a dose every week from now on.
+export const getScheduleStatus = (schedule, doseTimes, now = Date.now()) => {
+  const start = parseDate(schedule.startDate)
+  if (now < start) return null
+
+  const { steps, restart } = schedule
+  const week = Math.floor((now - start) / WEEK_MS)
+  const dosedWeeks = new Set(doseTimes
+    .filter(time => time >= start && time <= now)
+    .map(time => Math.floor((time - start) / WEEK_MS)))
+
+  let state = { stepIndex: 0, weeksAtStep: 0 }
+  let missedWeeks = 0
+  let restarted = false
+
+  // Replay every finished week
+  for (let w = 0; w < week; w++) {
+    if (dosedWeeks.has(w)) {
+      missedWeeks = 0
+      restarted = false
+      const step = steps[state.stepIndex]
+      const weeksAtStep = state.weeksAtStep + 1
+      state = step.weeks !== null && weeksAtStep >= step.weeks && state.stepIndex < steps.length - 1
+        ? { stepIndex: state.stepIndex + 1, weeksAtStep: 0 }
+        : { ...state, weeksAtStep }
+    } else {
+      missedWeeks++
+      if (missedWeeks === restart.missedWeeks) {
+        state = applyRestart(restart.action, state)
+        restarted = restart.action !== 'resume'
+      }
+    }
+  }
+
+  const step = steps[state.stepIndex]
+  const weekStart = start + week * WEEK_MS
+  const weeksLeft = step.weeks === null ? null : step.weeks - state.weeksAtStep
+
+  // Project the step-ups, counting this week as the next dose
+  const upcoming = []
+  if (weeksLeft !== null) {
+    let date = weekStart + weeksLeft * WEEK_MS
+    for (let i = state.stepIndex + 1; i < steps.length; i++) {
+      upcoming.push({ dose: steps[i].dose, date })
+      if (steps[i].weeks === null) break
+      date += steps[i].weeks * WEEK_MS
+    }
+  }
+
+  return {
+    week,
+    stepIndex: state.stepIndex,
+    dose: step.dose,
+    weeksAtStep: state.weeksAtStep,
+    weeksLeft,
+    dosedThisWeek: dosedWeeks.has(week),
+    missedWeeks,
+    restarted,
+    weekStart,
+    upcoming,
+  }
+}
+
+// When each step starts if no week is missed, as [{ dose, date }]
+export const plannedSteps = (schedule) => {
+  const starts = []
+  let date = parseDate(schedule.startDate)
+  for (const step of schedule.steps) {
+    starts.push({ dose: step.dose, date })
+    if (step.weeks === null) break
+    date += step.weeks * WEEK_MS
+  }
+  return starts
+}
+
+// Parse a stored schedule, or null if it is not one
+export const parseSchedule = (saved) => {
+  if (!saved || saved.version !== SCHEDULE_VERSION || !Array.isArray(saved.steps)) {
+    return null
+  }
+  return validateSchedule(saved).length === 0 ? saved : null
+}
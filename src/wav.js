@@ -0,0 +1,94 @@
+// Minimal WAV decoder
+//
+// Decodes RIFF/WAVE files (8/16/24/32-bit PCM and 32-bit float) into mono
+// Float32 samples. Used where AudioContext.decodeAudioData is unavailable,
+// such as replaying recordings from disk in Node.
+
+const readString = (view, offset, length) => {
+  let result = ''
+  for (let i = 0; i < length; i++) {
+    result += String.fromCharCode(view.getUint8(offset + i))
+  }
+  return result
+}
+
+const readSample = (view, offset, bitsPerSample, isFloat) => {
+  if (isFloat) {
+    return bitsPerSample === 64 ? view.getFloat64(offset, true) : view.getFloat32(offset, true)
+  }
+  switch (bitsPerSample) {
+    case 8:
+      return (view.getUint8(offset) - 128) / 128
+    case 16:
+      return view.getInt16(offset, true) / 32768
+    case 24: {
+      const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16)
+      return value / 8388608
+    }
+    case 32:
+      return view.getInt32(offset, true) / 2147483648
+    default:
+      throw new Error(`Unsupported WAV bit depth: ${bitsPerSample}`)
+  }
+}
+
+// Decode a WAV ArrayBuffer (or Node Buffer) into { sampleRate, samples },
+// where samples is a mono Float32Array (channels are averaged)
+export const decodeWav = (input) => {
+  const buffer = input instanceof ArrayBuffer
+    ? input
+    : input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength)
+  const view = new DataView(buffer)
+
+  if (view.byteLength < 12 || readString(view, 0, 4) !== 'RIFF' || readString(view, 8, 4) !== 'WAVE') {
+    throw new Error('Not a WAV file')
+  }
+
+  let format = null
+  let offset = 12
+
+  while (offset + 8 <= view.byteLength) {
+    const chunkId = readString(view, offset, 4)
+    const chunkSize = view.getUint32(offset + 4, true)
+    const body = offset + 8
+
+    if (chunkId === 'fmt ') {
+      const audioFormat = view.getUint16(body, true)
+      format = {
+        // 0xFFFE is WAVE_FORMAT_EXTENSIBLE; the sub-format follows the extension size
+        isFloat: audioFormat === 3 || (audioFormat === 0xfffe && view.getUint16(body + 24, true) === 3),
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      }
+      if (![1, 3, 0xfffe].includes(audioFormat)) {
+        throw new Error(`Unsupported WAV format: ${audioFormat}`)
+      }
+    } else if (chunkId === 'data') {
+      if (!format) {
+        throw new Error('WAV data chunk before fmt chunk')
+      }
+
+      const { channels, sampleRate, bitsPerSample, isFloat } = format
+      const bytesPerSample = bitsPerSample / 8
+      const dataSize = Math.min(chunkSize, view.byteLength - body)
+      const frameCount = Math.floor(dataSize / (bytesPerSample * channels))
+      const samples = new Float32Array(frameCount)
+
+      for (let i = 0; i < frameCount; i++) {
+        let sum = 0
+        for (let c = 0; c < channels; c++) {
+          sum += readSample(view, body + (i * channels + c) * bytesPerSample, bitsPerSample, isFloat)
+        }
+        samples[i] = sum / channels
+      }
+
+      return { sampleRate, samples }
+    }
+
+    // Chunks are padded to an even size
+    offset = body + chunkSize + (chunkSize % 2)
+  }
+
+  throw new Error('WAV file has no audio data')
+}
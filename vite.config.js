@@ -1,6 +1,7 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import crypto from 'crypto'
 import fs from 'fs'
 import path from 'path'
 
@@ -9,10 +10,57 @@ const keyPath = path.resolve(__dirname, 'localhost-key.pem')
 const certPath = path.resolve(__dirname, 'localhost.pem')
 const hasSSLCerts = fs.existsSync(keyPath) && fs.existsSync(certPath)
 
+// Emit src/sw.js as sw.js with the list of files to precache: everything in
+// the bundle plus the public directory. The version changes whenever any of
+// them does, which is what makes browsers install the new service worker.
+const serviceWorker = () => {
+  const source = path.resolve(__dirname, 'src/sw.js')
+  const publicDir = path.resolve(__dirname, 'public')
+
+  const listFiles = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name)
+    return entry.isDirectory() ? listFiles(file) : [file]
+  })
+
+  const build = (precache) =>
+    fs.readFileSync(source, 'utf8').replace('__PRECACHE_MANIFEST__', JSON.stringify(precache))
+
+  return {
+    name: 'service-worker',
+    // Run after the HTML plugin has added index.html to the bundle
+    enforce: 'post',
+    configureServer(server) {
+      // Nothing is precached in development, so changes show up on reload
+      server.middlewares.use('/sw.js', (req, res) => {
+        res.setHeader('Content-Type', 'text/javascript')
+        res.end(build({ version: 'dev', files: [] }))
+      })
+    },
+    generateBundle(options, bundle) {
+      const hash = crypto.createHash('sha256')
+      const publicFiles = fs.existsSync(publicDir) ? listFiles(publicDir) : []
+      for (const file of publicFiles) {
+        hash.update(fs.readFileSync(file))
+      }
+      const files = [
+        ...Object.keys(bundle),
+        ...publicFiles.map(file => path.relative(publicDir, file).split(path.sep).join('/')),
+      ].sort()
+      hash.update(files.join('\n'))
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: build({ version: hash.digest('hex').slice(0, 12), files }),
+      })
+    },
+  }
+}
+
 export default defineConfig({
   // Set base to repo name for GitHub Pages (change 'glp-1-click-counter' to your repo name)
   base: process.env.NODE_ENV === 'production' ? '/glp-1-click-counter/' : '/',
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), serviceWorker()],
   server: {
     host: true,
     ...(hasSSLCerts && {